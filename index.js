@@ -2,6 +2,10 @@ const Shopify = require('shopify-api-node');
 require('dotenv').config()
 const { program } = require('commander');
 const Migrator = require('./src/migrator.js')
+const Snapshot = require('./src/snapshot.js')
+const Profiles = require('./src/profiles.js')
+const { formatDiff } = require('./src/diff.js')
+const fs = require('fs');
 const dns = require('dns');
 
 function checkDns(domain) {
@@ -18,15 +22,56 @@ function checkDns(domain) {
   });
 }
 
+// Parses `--concurrency 4` or `--concurrency products=8,files=2,4` into `{ default: 4, products: 8, files: 2 }`
+function parseConcurrency(value) {
+  const concurrency = {}
+  value.split(',').forEach((part) => {
+    const [type, count] = part.includes('=') ? part.split('=') : ['default', part]
+    concurrency[type.trim()] = parseInt(count, 10) || 1
+  })
+  return concurrency
+}
+
+// Parses `--handles a,b,c`, or the path of a CSV file listing handles (one per line or in its first column)
+function parseHandles(value) {
+  const text = fs.existsSync(value) ? fs.readFileSync(value, 'utf8').split('\n').map(line => line.split(',')[0]).join(',') : value
+  return text.split(',').map(h => h.trim().replace(/^"|"$/g, '')).filter(h => h && h !== 'handle')
+}
+
+// Parses `--updated-since 2026-03-01` or a relative `7d` / `12h` into a date
+function parseSince(value) {
+  const relative = value.match(/^(\d+)([dh])$/)
+  const date = relative
+    ? new Date(Date.now() - relative[1] * (relative[2] === 'd' ? 24 : 1) * 3600 * 1000)
+    : new Date(value)
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid --updated-since value ${value}`)
+  }
+  return date
+}
+
+const runId = new Date().toISOString()
+const runStamp = runId.replace(/[:.]/g, '-')
+
+// `data/ledger.jsonl` => `data/ledger-staging.jsonl`
+const withSuffix = (file, suffix) => file.replace(/(\.[^./]+)?$/, `-${suffix}$1`)
+
 program.version('1.0.0');
 program
   .option('--all', 'Migrate everything')
   .option('--metafields', 'Run the migration for shop\'s metafields')
   .option('--delete-metafields', 'Delete(replace) shop metafields with the same namespace and key')
+  .option('--metaobjects', 'Run the migration for metaobject definitions and entries')
+  .option('--delete-metaobjects', 'Delete(replace) metaobjects with the same type and handle')
+  .option('--metafield-definitions', 'Run the migration for metafield definitions, before any metafield value is copied')
   .option('--products', 'Run the migration for products')
   .option('--delete-products', 'Delete(replace) products with the same handles')
+  .option('--graphql-products', 'Write products with GraphQL productSet instead of the REST endpoints, for products past 100 variants. Needs API version 2024-10 or later')
+  .option('--inventory', 'Copy inventory item fields and available quantities per location, matching variants by SKU')
+  .option('--create-locations', 'Create the source locations missing on the destination store when copying inventory')
   .option('--collections', 'Run the migration for collections')
   .option('--delete-collections', 'Delete(replace) collections with the same handles')
+  .option('--publish-to <channels>', 'Publish every product and collection to these sales channels, comma separated like `Online Store,Shop`, instead of the channels of their source', value => value.split(',').map(c => c.trim()))
   .option('--articles', 'Run the migration for articles')
   .option('--delete-articles', 'Delete(replace) articles with the same handles')
   .option('--blogs', 'Run the migration for blogs')
@@ -36,50 +81,262 @@ program
   .option('--files', 'Run the migration for files')
   .option('--delete-files', 'Delete(replace) files with the same names')
   .option('--menus', 'Run the migration for menus')
-  .option('--delete-menus', 'Delete(replace) menus with the same handles')
+  .option('--delete-menus', 'Replace the items of menus with the same handles')
+  .option('--update', 'Update matched destination pages, products, collections, blogs, articles, menus, customers, discounts and themes in place instead of skipping or replacing them')
+  .option('--customers', 'Run the migration for customers, anonymized unless --no-anonymize is set')
+  .option('--delete-customers', 'Delete(replace) customers with the same email')
+  .option('--no-anonymize', 'Copy customer names, emails, phones and addresses as is instead of anonymizing them')
+  .option('--customer-metafields <keys>', 'Customer metafields copied as is from anonymized customers, comma separated namespaces or namespace.key like `loyalty,custom.size`', value => value.split(',').map(k => k.trim()))
+  .option('--discounts', 'Run the migration for code and automatic discounts')
+  .option('--delete-discounts', 'Delete(replace) discounts with the same code, or the same title for automatic discounts')
+  .option('--translations', 'Enable the source locales on the destination store and copy the translations of products, collections, pages, blogs, articles, menus and metafields')
+  .option('--redirects', 'Run the migration for URL redirects')
+  .option('--delete-redirects', 'Delete(replace) redirects with the same path')
+  .option('--rewrite-redirect-targets', 'Turn redirect targets pointing at the source store domain into relative paths')
+  .option('--themes', 'Copy the published source theme, or the one set with --theme, as an unpublished destination theme')
+  .option('--theme <id>', 'ID of the source theme to copy with --themes')
+  .option('--delete-themes', 'Delete(replace) the unpublished theme with the same name')
+  .option('--handles <list>', 'Only migrate the resources with these handles, comma separated or in a CSV file', parseHandles)
+  .option('--tags <list>', 'Only migrate the products and articles having one of these tags, comma separated', value => value.split(',').map(t => t.trim()))
+  .option('--status <status>', 'Only migrate the products with this status (active, draft or archived)')
+  .option('--updated-since <date>', 'Only migrate the resources updated since this date, or in the last `7d`, `12h`...', parseSince)
+  .option('--collection <handle>', 'Only migrate the products of this source collection')
+  .option('--hooks <path>', 'JS module exporting `shouldMigrate` and `transform*` hooks applied to every source resource')
+  .option('--stores <path>', 'JSON file holding the named store profiles', 'stores.json')
+  .option('--api-version <version>', 'Admin API version of the stores whose profile sets none. Defaults to SHOPIFY_API_VERSION, then 2023-10')
+  .option('--from <name>', 'Source store profile. Defaults to the SOURCE_* env vars')
+  .option('--to <names>', 'Destination store profiles, comma separated like `staging,qa1,qa2`. Defaults to the DESTINATION_* env vars')
+  .option('--log-file <path>', 'JSON-lines log of the run. Defaults to `data/logs/{run}.jsonl`')
+  .option('--report <path>', 'Summary of the run with the created, skipped, updated, replaced and failed counts. Defaults to `data/reports/{run}.json`')
+  .option('--dry-run', 'Only list source and destination resources and print what would be created, skipped or deleted and replaced')
   .option('--save-data', 'Save every source data as json files under a `data/{type}` folder. For example, `data/products/123456.json`')
+  .option('--ledger <path>', 'Path of the source to destination ID ledger', 'data/ledger.jsonl')
+  .option('--resume', 'Continue the last run where it stopped, using the checkpoint saved under `data/checkpoint.json`')
+  .option('--concurrency <spec>', 'Items migrated at the same time, either one number or per type like `products=8,files=4,2`', parseConcurrency, {})
   .option('-v, --verbosity', 'Verbosity level. Defaults to 4, as talkative as my MIL.')
 
-program.parse(process.argv);
+const createMigrator = ({ sourceProfile = null, destinationProfile = null, ...options } = {}) => {
+  const logFile = program.logFile || `data/logs/${runStamp}.jsonl`
+  const destinationOptions = destinationProfile ? {
+    // Every destination keeps its own ID ledger, checkpoint and log
+    ledger: withSuffix(program.ledger, destinationProfile.name),
+    checkpoint: `data/checkpoint-${destinationProfile.name}.json`,
+    logFile: withSuffix(logFile, destinationProfile.name),
+    ...destinationProfile.options
+  } : {}
+  return new Migrator(sourceProfile, destinationProfile, (program.verbosity && program.verbosity * 1) || 4, program.saveData, {
+    runId,
+    logFile,
+    dryRun: program.dryRun,
+    update: program.update,
+    rewriteRedirectTargets: program.rewriteRedirectTargets,
+    anonymize: program.anonymize,
+    customerMetafields: program.customerMetafields,
+    apiVersion: program.apiVersion,
+    graphqlProducts: program.graphqlProducts,
+    publishTo: program.publishTo,
+    ledger: program.ledger,
+    resume: program.resume,
+    concurrency: program.concurrency,
+    hooks: program.hooks,
+    filters: {
+      handles: program.handles,
+      tags: program.tags,
+      status: program.status,
+      updatedSince: program.updatedSince,
+      collection: program.collection
+    },
+    ...destinationOptions,
+    ...options
+  })
+}
+
+/**
+ * One migrator per destination picked with `--to`, all reading from the same source store.
+ */
+const createMigrators = (options = {}) => {
+  const profiles = program.from || program.to ? new Profiles(program.stores) : null
+  const sourceProfile = program.from ? profiles.get(program.from) : null
+  const destinationProfiles = program.to ? program.to.split(',').map(name => profiles.get(name.trim())) : [null]
+  const migrations = []
+  destinationProfiles.forEach((destinationProfile) => {
+    const source = migrations.length ? migrations[0].source : options.source
+    const migration = createMigrator({ sourceProfile, destinationProfile, ...options, source })
+    if (destinationProfiles.length > 1 && !migrations.length) {
+      migration.source = Profiles.shareReads(migration.source, destinationProfiles.length)
+    }
+    migration.label = destinationProfile ? destinationProfile.name : null
+    migrations.push(migration)
+  })
+  return migrations
+}
+
+const connect = async (migrations) => {
+  for (const migration of migrations) {
+    try {
+      await migration.testConnection()
+      migration.log('Store configuration looks correct.')
+    } catch (e) {
+      migration.error('Could not validate proper store setup', e.message)
+      process.exit(1)
+    }
+  }
+}
 
-const start = async () => {
-  const migration = new Migrator(null, null, (program.verbosity && program.verbosity * 1) || 4, program.saveData)
+/**
+ * Writes the run report of every destination and sets a non-zero exit code when anything failed.
+ */
+const finish = (migrations) => {
+  migrations.forEach((migration) => {
+    const reportFile = program.report || `data/reports/${runStamp}.json`
+    const file = migration.label ? withSuffix(reportFile, migration.label) : reportFile
+    migration.report.write(file)
+    const totals = migration.report.totals()
+    migration.log(`Run report written to ${file}${totals.length ? `\n  ${totals.join('\n  ')}` : ''}`)
+  })
+  if (migrations.some(migration => migration.report.hasFailures())) {
+    process.exitCode = 1
+  }
+}
+
+const migrate = async (migration) => {
+  if (program.all || program.metaobjects) {
+    await migration.step('metaobjects', () => migration.migrateMetaobjects(program.deleteMetaobjects))
+  }
+  if (program.all || program.metafieldDefinitions) {
+    await migration.step('metafieldDefinitions', () => migration.migrateMetafieldDefinitions())
+  }
+  if (program.all || program.pages) {
+    await migration.step('pages', () => migration.migratePages(program.deletePages))
+  }
+  if (program.all || program.files) {
+    await migration.step('files', () => migration.migrateFiles(program.deleteFiles))
+  }
+  if (program.all || program.blogs) {
+    await migration.step('blogs', () => migration.migrateBlogs(program.deleteBlogs))
+  }
+  if (program.all || program.articles) {
+    await migration.step('articles', () => migration.migrateArticles(program.deleteArticles))
+  }
+  if (program.all || program.products) {
+    await migration.step('products', () => migration.migrateProducts(program.deleteProducts))
+  }
+  if (program.all || program.inventory) {
+    await migration.step('inventory', () => migration.migrateInventory(program.createLocations))
+  }
+  if (program.all || program.collections) {
+    await migration.step('collections', async () => {
+      await migration.migrateSmartCollections(program.deleteCollections)
+      await migration.migrateCustomCollections(program.deleteCollections)
+    })
+  }
+  if (program.all || program.metafields) {
+    await migration.step('metafields', () => migration.migrateMetafields(program.deleteMetafields))
+  }
+  // Customers hold personal information, they are never part of --all
+  if (program.customers) {
+    await migration.step('customers', () => migration.migrateCustomers(program.deleteCustomers))
+  }
+  if (program.all || program.discounts) {
+    await migration.step('discounts', () => migration.migrateDiscounts(program.deleteDiscounts))
+  }
+  if (program.all || program.menus) {
+    await migration.step('menus', () => migration.migrateMenus(program.deleteMenus))
+  }
+  if (program.all || program.redirects) {
+    await migration.step('redirects', () => migration.migrateRedirects(program.deleteRedirects))
+  }
+  if (program.all || program.themes) {
+    await migration.step('themes', () => migration.migrateThemes(program.theme, program.deleteThemes))
+  }
+  // Translations change the languages of the destination store, they are never part of --all.
+  // They come last, once the resources they translate are on the destination store
+  if (program.translations) {
+    await migration.step('translations', () => migration.migrateTranslations())
+  }
+}
+
+const start = async (options = {}) => {
+  const migrations = createMigrators(options)
+  await connect(migrations)
+  for (const migration of migrations) {
+    if (migrations.length > 1) {
+      migration.log(`===== Migrating into ${migration.label} =====`)
+    }
+    try {
+      await migrate(migration)
+    } catch (e) {
+      migration.error('Migration stopped', e)
+    }
+  }
+  finish(migrations)
+}
+const snapshot = async (dir) => {
+  const sourceProfile = program.from ? new Profiles(program.stores).get(program.from) : null
+  const migration = createMigrator({ sourceProfile, sourceOnly: true })
   try {
     await migration.testConnection()
-    migration.log('Store configuration looks correct.')
   } catch (e) {
     migration.error('Could not validate proper store setup', e.message)
-    process.exit()
+    process.exit(1)
   }
   try {
-    if (program.all || program.pages) {
-      await migration.migratePages(program.deletePages)
-    }
-    if (program.all || program.files) {
-      await migration.migrateFiles(program.deleteFiles)
-    }
-    if (program.all || program.blogs) {
-      await migration.migrateBlogs(program.deleteBlogs)
-    }
-    if (program.all || program.articles) {
-      await migration.migrateArticles(program.deleteArticles)
-    }
-    if (program.all || program.products) {
-      await migration.migrateProducts(program.deleteProducts)
-    }
-    if (program.all || program.collections) {
-      await migration.migrateSmartCollections(program.deleteCollections)
-      await migration.migrateCustomCollections(program.deleteCollections)
-    }
-    if (program.all || program.metafields) {
-      await migration.migrateMetafields(program.deleteMetafields)
+    await migration.snapshot(new Snapshot(dir || `snapshots/${sourceProfile ? sourceProfile.name : process.env.SOURCE_SHOPIFY_STORE}-${new Date().toISOString().slice(0, 10)}`))
+  } catch (e) {
+    console.error(e);
+    console.log(e.response)
+    process.exitCode = 1
+  }
+}
+
+const diff = async (cmd) => {
+  const migrations = createMigrators()
+  await connect(migrations)
+  const allTypes = ['products', 'collections', 'pages', 'blogs', 'articles', 'metafields', 'files', 'menus']
+  const selectedTypes = allTypes.filter(type => program[type])
+  try {
+    const reports = {}
+    for (const migration of migrations) {
+      reports[migration.label] = await migration.diff(program.all || !selectedTypes.length ? allTypes : selectedTypes, {
+        withMetafields: cmd.withMetafields
+      })
     }
-    if (program.all || program.menus) {
-      await migration.migrateMenus(program.deleteMenus)
+    // A single destination keeps the report format of a plain run
+    const labels = Object.keys(reports)
+    const output = cmd.json
+      ? JSON.stringify(labels.length > 1 ? reports : reports[labels[0]], null, 2)
+      : labels.map(label => (labels.length > 1 ? `===== ${label} =====\n` : '') + formatDiff(reports[label])).join('\n\n')
+    if (cmd.output) {
+      fs.writeFileSync(cmd.output, output)
+      migrations[0].log(`Diff written to ${cmd.output}`)
+    } else {
+      console.log(output)
     }
   } catch (e) {
     console.error(e);
     console.log(e.response)
+    process.exitCode = 1
   }
 }
-start()
\ No newline at end of file
+
+program
+  .command('migrate', { isDefault: true })
+  .description('Migrate the source store into the destination store (default)')
+  .action(() => start())
+program
+  .command('snapshot [dir]')
+  .description('Save a complete bundle of the source store. Defaults to `snapshots/{store}-{date}`')
+  .action(dir => snapshot(dir))
+program
+  .command('diff')
+  .description('Report missing, extra and changed resources between the source and destination stores. Compares every type unless given type flags like `--products`')
+  .option('--json', 'Output the report as JSON')
+  .option('--with-metafields', 'Also compare the metafields of every matched resource')
+  .option('-o, --output <file>', 'Write the report to a file instead of the console')
+  .action(cmd => diff(cmd))
+program
+  .command('restore <dir>')
+  .description('Replay a snapshot bundle into the destination store. Takes the same flags as a migration')
+  .action(dir => start({ source: new Snapshot(dir).asSource() }))
+
+program.parse(process.argv);
@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+
+const FIRST_NAMES = ['Alex', 'Sam', 'Jordan', 'Taylor', 'Morgan', 'Casey', 'Riley', 'Jamie', 'Avery', 'Quinn', 'Robin', 'Charlie', 'Dana', 'Emery', 'Hayden', 'Kai']
+const LAST_NAMES = ['Smith', 'Martin', 'Nguyen', 'Garcia', 'Brown', 'Tremblay', 'Meyer', 'Rossi', 'Kowalski', 'Silva', 'Cohen', 'Okafor', 'Larsen', 'Dubois', 'Tanaka', 'Walker']
+const AREA_CODES = ['201', '212', '303', '312', '404', '415', '503', '514', '604', '617', '702', '713', '416', '206', '305', '613', '818', '919', '407', '780']
+const STREETS = ['Maple', 'Oak', 'Cedar', 'Pine', 'Elm', 'Birch', 'Willow', 'Spruce', 'Lake', 'Hill', 'Park', 'River']
+
+/**
+ * Replaces the personal information of customers (names, emails, phones, street addresses and notes) with fake
+ * but realistic values. Values are derived from an HMAC of the original with `secret`, so a customer gets the same
+ * fake identity on every run and matching destination customers by email keeps working.
+ * Cities, provinces, countries and zip codes are kept, along with tags and marketing consent states.
+ */
+class Anonymizer {
+  constructor(secret) {
+    this.secret = secret
+  }
+
+  hash(value) {
+    return crypto.createHmac('sha256', this.secret).update(`${value}`.trim().toLowerCase()).digest('hex')
+  }
+
+  // Picks a stable item of `list` for `value`
+  pick(list, value, salt = '') {
+    return list[parseInt(this.hash(`${salt}${value}`).slice(0, 8), 16) % list.length]
+  }
+
+  email(email) {
+    if (!email) {
+      return email
+    }
+    const hash = this.hash(email)
+    return `${this.pick(FIRST_NAMES, email, 'first')}.${this.pick(LAST_NAMES, email, 'last')}.${hash.slice(0, 8)}@example.com`.toLowerCase()
+  }
+
+  // North American numbers on the 555 exchange, which is kept out of service
+  phone(phone) {
+    if (!phone) {
+      return phone
+    }
+    const hash = this.hash(phone)
+    return `+1${this.pick(AREA_CODES, phone, 'area')}555${`${parseInt(hash.slice(0, 8), 16) % 10000}`.padStart(4, '0')}`
+  }
+
+  address(address, identity) {
+    const street = this.hash(`${address.address1}${address.zip}`)
+    return {
+      ...address,
+      first_name: address.first_name && identity.first_name,
+      last_name: address.last_name && identity.last_name,
+      name: address.name && `${identity.first_name} ${identity.last_name}`,
+      company: address.company && `${this.pick(LAST_NAMES, address.company, 'company')} & Co`,
+      address1: address.address1 && `${parseInt(street.slice(0, 4), 16) % 999 + 1} ${this.pick(STREETS, street)} Street`,
+      address2: address.address2 && `Unit ${parseInt(street.slice(4, 8), 16) % 99 + 1}`,
+      phone: this.phone(address.phone)
+    }
+  }
+
+  customer(customer) {
+    // The email identifies the customer best, the id is only a fallback for customers without one
+    const key = customer.email || customer.phone || customer.id
+    const identity = {
+      first_name: customer.first_name || customer.last_name ? this.pick(FIRST_NAMES, key, 'first') : customer.first_name,
+      last_name: customer.first_name || customer.last_name ? this.pick(LAST_NAMES, key, 'last') : customer.last_name
+    }
+    return {
+      ...customer,
+      ...identity,
+      email: this.email(customer.email),
+      phone: this.phone(customer.phone),
+      note: null,
+      addresses: (customer.addresses || []).map(address => this.address(address, identity)),
+      default_address: customer.default_address && this.address(customer.default_address, identity)
+    }
+  }
+}
+
+module.exports = Anonymizer
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Keeps track of how far a run got so that `--resume` can pick up where it stopped.
+ * For every resource type it stores the pagination cursor of the page being processed
+ * (REST `nextPageParameters` or GraphQL `endCursor`) and the id of the last item handled
+ * on that page. It also stores the steps of the run that already completed.
+ */
+class Checkpoint {
+  constructor(file = 'data/checkpoint.json', { resume = false, persist = true } = {}) {
+    this.file = file
+    this.persist = persist
+    this.resuming = {}
+    this.state = {
+      completed: [],
+      resources: {}
+    }
+    if (resume && fs.existsSync(file)) {
+      this.state = JSON.parse(fs.readFileSync(file, 'utf8'))
+      Object.keys(this.state.resources).forEach((type) => {
+        this.resuming[type] = true
+      })
+    }
+  }
+
+  write() {
+    if (!this.persist) {
+      return
+    }
+    fs.mkdirSync(path.dirname(this.file), { recursive: true })
+    fs.writeFileSync(this.file, JSON.stringify(this.state, null, 2))
+  }
+
+  /**
+   * Cursor of the page to start from. `null` unless resuming a type that was interrupted.
+   */
+  cursor(type) {
+    const resource = this.state.resources[type]
+    return this.resuming[type] && resource ? resource.cursor : null
+  }
+
+  /**
+   * Drops the items of a page that were already handled before the run was interrupted.
+   * Only the first page fetched for a resumed type is trimmed.
+   */
+  remaining(type, cursor, items) {
+    if (!this.resuming[type]) {
+      return items
+    }
+    delete this.resuming[type]
+    const resource = this.state.resources[type]
+    if (!resource || JSON.stringify(resource.cursor) !== JSON.stringify(cursor) || !resource.lastId) {
+      return items
+    }
+    const index = items.findIndex(item => item.id === resource.lastId)
+    return index === -1 ? items : items.slice(index + 1)
+  }
+
+  save(type, cursor, lastId = null) {
+    this.state.resources[type] = { cursor, lastId, updatedAt: new Date().toISOString() }
+    this.write()
+  }
+
+  isComplete(type) {
+    return this.state.completed.indexOf(type) !== -1
+  }
+
+  complete(type) {
+    delete this.state.resources[type]
+    if (!this.isComplete(type)) {
+      this.state.completed.push(type)
+    }
+    this.write()
+  }
+}
+
+module.exports = Checkpoint
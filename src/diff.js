@@ -0,0 +1,112 @@
+/**
+ * Helpers behind the `diff` command. Resources are matched by key (handle, namespace.key, ...)
+ * and compared field by field.
+ */
+
+// Tags come back as a comma separated string whose order is not meaningful
+function normalizeTags(tags) {
+  return (tags || '').split(',').map(t => t.trim()).filter(t => t).sort().join(', ')
+}
+
+function normalize(value) {
+  if (value === undefined || value === '') {
+    return null
+  }
+  if (typeof value === 'object' && value !== null) {
+    return JSON.stringify(value)
+  }
+  return value
+}
+
+/**
+ * Lists the fields that differ between two versions of a resource.
+ * `fields` maps a field name to a getter, or is a list of property names.
+ */
+function compareFields(source, destination, fields, prefix = '') {
+  const getters = Array.isArray(fields) ? fields.reduce((all, field) => ({ ...all, [field]: r => r[field] }), {}) : fields
+  const changes = []
+  Object.keys(getters).forEach((field) => {
+    const sourceValue = normalize(getters[field](source))
+    const destinationValue = normalize(getters[field](destination))
+    if (sourceValue !== destinationValue) {
+      changes.push({ field: `${prefix}${field}`, source: sourceValue, destination: destinationValue })
+    }
+  })
+  return changes
+}
+
+/**
+ * Compares two keyed lists. `keyOf` returns the matching key of an item,
+ * `compare(source, destination)` the list of field changes of a matched pair.
+ */
+function diffResources(sourceItems, destinationItems, keyOf, compare) {
+  const destinationByKey = {}
+  destinationItems.forEach((item) => {
+    destinationByKey[keyOf(item)] = item
+  })
+  const sourceKeys = {}
+  const result = { missing: [], extra: [], changed: [] }
+  sourceItems.forEach((item) => {
+    const key = keyOf(item)
+    sourceKeys[key] = true
+    const destinationItem = destinationByKey[key]
+    if (!destinationItem) {
+      result.missing.push(key)
+      return
+    }
+    const changes = compare(item, destinationItem)
+    if (changes.length) {
+      result.changed.push({ key, changes })
+    }
+  })
+  destinationItems.forEach((item) => {
+    if (!sourceKeys[keyOf(item)]) {
+      result.extra.push(keyOf(item))
+    }
+  })
+  return result
+}
+
+/**
+ * Compares two child lists of a matched pair (variants of a product, metafields of a page, ...)
+ * and flattens the result into field changes prefixed with `label`.
+ */
+function diffChildren(label, sourceItems, destinationItems, keyOf, compare) {
+  const result = diffResources(sourceItems, destinationItems, keyOf, compare)
+  return [
+    ...result.missing.map(key => ({ field: `${label} ${key}`, source: 'present', destination: null })),
+    ...result.extra.map(key => ({ field: `${label} ${key}`, source: null, destination: 'present' })),
+    ...result.changed.reduce((all, { key, changes }) => all.concat(changes.map(c => ({ ...c, field: `${label} ${key} ${c.field}` }))), [])
+  ]
+}
+
+function formatValue(value) {
+  if (value === null) {
+    return '(none)'
+  }
+  const text = `${value}`
+  return text.length > 80 ? `${JSON.stringify(text.slice(0, 77))}...` : JSON.stringify(text)
+}
+
+function formatDiff(report) {
+  const lines = []
+  Object.keys(report).forEach((type) => {
+    const { missing, extra, changed } = report[type]
+    lines.push(`${type}: ${missing.length} missing, ${extra.length} extra, ${changed.length} changed`)
+    missing.forEach(key => lines.push(`  - missing  ${key}`))
+    extra.forEach(key => lines.push(`  + extra    ${key}`))
+    changed.forEach(({ key, changes }) => {
+      lines.push(`  ~ changed  ${key}`)
+      changes.forEach(c => lines.push(`      ${c.field}: ${formatValue(c.source)} -> ${formatValue(c.destination)}`))
+    })
+  })
+  return lines.join('\n')
+}
+
+module.exports = {
+  normalizeTags,
+  compareFields,
+  diffResources,
+  diffChildren,
+  formatDiff
+}
@@ -0,0 +1,635 @@
+const fs = require('fs');
+const path = require('path');
+
+const IMAGE_EXTENSIONS = /\.(png|jpe?g|gif|webp|avif|svg)$/i
+const WEIGHT_UNITS = { g: 'GRAMS', kg: 'KILOGRAMS', lb: 'POUNDS', oz: 'OUNCES' }
+// Tables of a store that never saved them. Every store has an Online Store sales channel
+const DEFAULT_TABLES = {
+  collection_products: {},
+  publications: [{ id: 'gid://shopify/Publication/1', name: 'Online Store' }]
+}
+
+/**
+ * Store adapter backed by a folder of JSON files, usable as the source or the destination of a migration
+ * in place of a live store: for local development, demos and tests of the migration logic.
+ * It implements the subset of the `shopify-api-node` REST resources and of the GraphQL operations the migrators use
+ * for products (with variants and media, or written with `productSet`), pages, blogs, articles, smart and custom collections, metafields,
+ * redirects, files and menus. Other GraphQL operations answer with an error, like a store missing an access scope would.
+ * The folder has the layout of a snapshot (see `snapshot.js`), so a snapshot can be opened as a store.
+ */
+class FileStore {
+  constructor(dir, { shop = path.basename(dir), readOnly = false } = {}) {
+    this.dir = dir
+    this.shop = shop
+    this.readOnly = readOnly
+    this.tables = {}
+
+    this.product = this._resource('products', {
+      create: product => this._createProduct(product),
+      update: (id, { media, ...fields }) => this._update('products', id, fields)
+    })
+    this.productVariant = {
+      get: async id => this._findVariant(id).variant,
+      create: async (productId, variant) => this._write('products', () => {
+        const product = this._find('products', productId)
+        const created = { ...variant, id: this._nextId(this._variants()), product_id: product.id }
+        product.variants.push(created)
+        return created
+      }),
+      update: async (id, fields) => this._write('products', () => {
+        const { variant } = this._findVariant(id)
+        return Object.assign(variant, fields, { id: variant.id })
+      }),
+      delete: async (productId, id) => this._write('products', () => {
+        const product = this._find('products', productId)
+        product.variants = product.variants.filter(v => `${v.id}` !== `${id}`)
+      })
+    }
+    this.productImage = {
+      create: async (productId, image) => this._write('products', () => {
+        const product = this._find('products', productId)
+        const created = { ...image, id: this._nextId(this._images()), product_id: product.id }
+        product.images.push(created)
+        return created
+      }),
+      update: async (productId, id, fields) => this._write('products', () => {
+        return Object.assign(this._find('products', productId).images.find(i => `${i.id}` === `${id}`), fields)
+      }),
+      delete: async (productId, id) => this._write('products', () => {
+        const product = this._find('products', productId)
+        product.images = product.images.filter(i => `${i.id}` !== `${id}`)
+      })
+    }
+    this.page = this._resource('pages')
+    this.blog = this._resource('blogs')
+    this.redirect = this._resource('redirects')
+    this.smartCollection = this._resource('smart_collections')
+    this.customCollection = this._resource('custom_collections', {
+      create: collection => this._createCustomCollection(collection)
+    })
+    this.article = {
+      list: async (blogId, params = {}) => this._list('articles', params, a => `${a.blog_id}` === `${blogId}`),
+      get: async (blogId, id) => this._copy(this._find('articles', id)),
+      create: async (blogId, article) => this._create('articles', { ...article, blog_id: blogId * 1 }),
+      update: async (blogId, id, fields) => this._update('articles', id, fields),
+      delete: async (blogId, id) => this._delete('articles', id)
+    }
+    this.collect = {
+      list: async (params = {}) => paginate(this._collects().filter(c => !params.collection_id || `${c.collection_id}` === `${params.collection_id}`), params),
+      create: async ({ collection_id, product_id }) => this._write('collection_products', () => {
+        const members = this._table('collection_products')
+        members[collection_id] = (members[collection_id] || []).concat([product_id])
+        return { id: `${collection_id}-${product_id}`, collection_id, product_id }
+      }),
+      delete: async id => this._write('collection_products', () => {
+        const [collectionId, productId] = `${id}`.split('-')
+        const members = this._table('collection_products')
+        members[collectionId] = (members[collectionId] || []).filter(p => `${p}` !== productId)
+      })
+    }
+    this.collection = {
+      products: async (collectionId, params = {}) => {
+        const smart = this._table('smart_collections').find(c => `${c.id}` === `${collectionId}`)
+        const productIds = smart ? null : (this._table('collection_products')[collectionId] || []).map(id => `${id}`)
+        return this._list('products', params, p => smart ? matchesRules(smart, p) : productIds.indexOf(`${p.id}`) !== -1)
+      }
+    }
+    this.metafield = {
+      list: async (params = {}) => {
+        const owner = params.metafield || { owner_resource: 'shop' }
+        return this._list('metafields', params, (m) => {
+          return (m.owner_resource || 'shop') === owner.owner_resource && (!owner.owner_id || `${m.owner_id}` === `${owner.owner_id}`)
+        })
+      },
+      create: async metafield => this._create('metafields', { owner_resource: 'shop', ...metafield }),
+      update: async (id, fields) => this._update('metafields', id, fields),
+      delete: async id => this._delete('metafields', id)
+    }
+  }
+
+  async graphql(query, variables = {}) {
+    // Mutations come first, their names are followed by the fields they return
+    const operations = {
+      fileCreate: () => ({ files: this._write('files', () => variables.files.map(input => this._createFile(input))), userErrors: [] }),
+      fileDelete: () => this._write('files', () => {
+        this.tables.files = this._table('files').filter(f => f.id !== variables.fileId)
+        return { deletedFileId: variables.fileId, userErrors: [] }
+      }),
+      menuCreate: () => ({ menu: this._write('menus', () => this._createMenu(variables)), userErrors: [] }),
+      menuUpdate: () => ({ menu: this._write('menus', () => this._updateMenu(variables)), userErrors: [] }),
+      productSet: () => this._write('products', () => {
+        const product = this._setProduct(variables.input)
+        // Background writes are done by the time `productOperation` is asked about them
+        return variables.synchronous === false
+          ? { product: null, productSetOperation: { id: `gid://shopify/ProductSetOperation/${product.id}` }, userErrors: [] }
+          : { product: { id: `gid://shopify/Product/${product.id}` }, productSetOperation: null, userErrors: [] }
+      }),
+      publishablePublish: () => {
+        const [type, id] = variables.id.split('/').slice(-2)
+        const table = type === 'Product' ? 'products' : this._table('smart_collections').find(c => `${c.id}` === id) ? 'smart_collections' : 'custom_collections'
+        return this._write(table, () => {
+          const item = this._find(table, id)
+          const ids = this._publicationIds(item).concat(variables.input.map(input => input.publicationId))
+          item.publication_ids = ids.filter((publicationId, index) => ids.indexOf(publicationId) === index)
+          return { publishable: { id: variables.id }, userErrors: [] }
+        })
+      },
+      productCreateMedia: () => this._write('products', () => ({
+        media: variables.media.map(input => this._createMedia(this._find('products', idOf(variables.productId)), input)),
+        mediaUserErrors: []
+      })),
+      productUpdateMedia: () => this._write('products', () => ({
+        media: variables.media.map(({ id, alt }) => Object.assign(this._findMedia(idOf(variables.productId), id), { alt })),
+        mediaUserErrors: []
+      })),
+      productDeleteMedia: () => this._write('products', () => {
+        const product = this._find('products', idOf(variables.productId))
+        product.images = (product.images || []).filter(image => variables.mediaIds.indexOf(`gid://shopify/MediaImage/${image.id}`) === -1)
+        product.media = (product.media || []).filter(media => variables.mediaIds.indexOf(media.id) === -1)
+        return { deletedMediaIds: variables.mediaIds, mediaUserErrors: [] }
+      }),
+      productReorderMedia: () => this._write('products', () => {
+        const productId = idOf(variables.id)
+        const ordered = this._productMedia(this._find('products', productId)).map(media => media.id)
+        variables.moves.forEach(({ id, newPosition }) => {
+          ordered.splice(ordered.indexOf(id), 1)
+          ordered.splice(newPosition * 1, 0, id)
+        })
+        ordered.forEach((id, index) => {
+          this._findMedia(productId, id).position = index + 1
+        })
+        return { job: null, mediaUserErrors: [] }
+      }),
+      productVariantAppendMedia: () => this._write('products', () => this._linkVariantMedia(variables, true)),
+      productVariantDetachMedia: () => this._write('products', () => this._linkVariantMedia(variables, false)),
+      collectionByHandle: () => {
+        const collection = this._table('smart_collections').concat(this._table('custom_collections')).find(c => c.handle === variables.handle)
+        return collection ? { id: `gid://shopify/Collection/${collection.id}`, handle: collection.handle } : null
+      },
+      collection: () => this._collection(variables.id),
+      productOperation: () => ({
+        status: 'COMPLETE',
+        product: { id: `gid://shopify/Product/${idOf(variables.id)}` },
+        userErrors: []
+      }),
+      product: () => this._productNode(idOf(variables.id)),
+      files: () => this._connection('files', query, variables, file => matchesFileSearch(file, searchOf(query, variables))),
+      menus: () => this._connection('menus', query, variables),
+      publications: () => this._connection('publications', query, variables),
+      shop: () => ({ name: this.shop, myshopifyDomain: `${this.shop}.local`, primaryDomain: { host: `${this.shop}.local` } }),
+      node: () => this._table('files').find(f => f.id === variables.id) || null
+    }
+    // Every root field but `shop` takes arguments, which keeps `node {` of connections from passing for `node(id:)`
+    const operation = Object.keys(operations).find(name => new RegExp(`\\b${name}\\s*${name === 'shop' ? '\\{' : '\\('}`).test(query))
+    if (!operation) {
+      return { errors: [{ message: `This operation is not available on the file store ${this.dir}` }] }
+    }
+    // Mutations are often aliased, like `result: menuCreate(...)`
+    const alias = query.match(new RegExp(`(\\w+)\\s*:\\s*${operation}\\s*\\(`))
+    try {
+      return { data: { [alias ? alias[1] : operation]: operations[operation]() } }
+    } catch (e) {
+      return { errors: [{ message: e.message }] }
+    }
+  }
+
+  _resource(type, overrides = {}) {
+    return {
+      list: async (params = {}) => this._list(type, params),
+      get: async id => this._copy(this._find(type, id)),
+      create: async item => this._create(type, item),
+      update: async (id, fields) => this._update(type, id, fields),
+      delete: async id => this._delete(type, id),
+      ...Object.keys(overrides).reduce((all, key) => ({ ...all, [key]: async (...args) => overrides[key](...args) }), {})
+    }
+  }
+
+  _table(type) {
+    if (!this.tables[type]) {
+      const file = path.join(this.dir, `${type}.json`)
+      this.tables[type] = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : this._copy(DEFAULT_TABLES[type] || [])
+    }
+    return this.tables[type]
+  }
+
+  // Applies a change to a table and saves it
+  _write(type, change) {
+    if (this.readOnly) {
+      throw new Error(`The file store ${this.dir} is read-only`)
+    }
+    const result = change()
+    fs.mkdirSync(this.dir, { recursive: true })
+    fs.writeFileSync(path.join(this.dir, `${type}.json`), JSON.stringify(this._table(type), null, 2))
+    return this._copy(result)
+  }
+
+  _list(type, params = {}, where = () => true) {
+    const handles = params.handle ? `${params.handle}`.split(',') : null
+    const items = this._table(type).filter((item) => {
+      return where(item) &&
+        (!handles || handles.indexOf(item.handle) !== -1) &&
+        (!params.status || item.status === params.status) &&
+        (!params.updated_at_min || new Date(item.updated_at) >= new Date(params.updated_at_min)) &&
+        (!params.tag || (item.tags || '').split(',').map(t => t.trim()).indexOf(params.tag) !== -1)
+    })
+    if (params.collection_id) {
+      const members = (this._table('collection_products')[params.collection_id] || []).map(id => `${id}`)
+      return paginate(this._copy(items.filter(item => members.indexOf(`${item.id}`) !== -1)), params)
+    }
+    return paginate(this._copy(items), params)
+  }
+
+  _find(type, id) {
+    const item = this._table(type).find(i => `${i.id}` === `${id}`)
+    if (!item) {
+      throw notFound(type, id)
+    }
+    return item
+  }
+
+  // Sales channels only change through `publishablePublish`, like on Shopify
+  _create(type, { publication_ids, ...item }) {
+    return this._write(type, () => {
+      const now = new Date().toISOString()
+      const created = { ...item, id: this._nextId(this._table(type)), created_at: now, updated_at: now }
+      this._table(type).push(created)
+      return created
+    })
+  }
+
+  _update(type, id, { publication_ids, ...fields }) {
+    return this._write(type, () => {
+      const item = this._find(type, id)
+      return Object.assign(item, fields, { id: item.id, updated_at: new Date().toISOString() })
+    })
+  }
+
+  _delete(type, id) {
+    return this._write(type, () => {
+      this._find(type, id)
+      this.tables[type] = this._table(type).filter(i => `${i.id}` !== `${id}`)
+      return {}
+    })
+  }
+
+  _nextId(items) {
+    return items.reduce((max, item) => Math.max(max, `${item.id}`.split('/').pop() * 1 || 0), 0) + 1
+  }
+
+  _variants() {
+    return this._table('products').reduce((all, p) => all.concat(p.variants || []), [])
+  }
+
+  _images() {
+    return this._table('products').reduce((all, p) => all.concat(p.images || []), [])
+  }
+
+  _findVariant(id) {
+    const product = this._table('products').find(p => (p.variants || []).find(v => `${v.id}` === `${id}`))
+    if (!product) {
+      throw notFound('variants', id)
+    }
+    return { product, variant: product.variants.find(v => `${v.id}` === `${id}`) }
+  }
+
+  _collects() {
+    const members = this._table('collection_products')
+    return Object.keys(members).reduce((all, collectionId) => all.concat(members[collectionId].map(productId => ({
+      id: `${collectionId}-${productId}`,
+      collection_id: collectionId * 1,
+      product_id: productId
+    }))), [])
+  }
+
+  // Variants, images and metafields are created along with the product, like the REST API does.
+  // Other media only come through GraphQL
+  _createProduct({ metafields = [], variants = [], images = [], media, ...fields }) {
+    const product = this._create('products', { ...fields, variants: [], images: [] })
+    return this._write('products', () => {
+      const created = this._find('products', product.id)
+      let variantId = this._nextId(this._variants())
+      created.variants = variants.map(variant => ({ ...variant, id: variantId++, product_id: created.id }))
+      let imageId = this._nextId(this._images())
+      created.images = images.map(image => ({ ...image, id: imageId++, product_id: created.id }))
+      metafields.forEach(metafield => this._create('metafields', { ...metafield, owner_resource: 'product', owner_id: created.id }))
+      return created
+    })
+  }
+
+  _createCustomCollection({ collects = [], ...fields }) {
+    const collection = this._create('custom_collections', fields)
+    this._write('collection_products', () => {
+      this._table('collection_products')[collection.id] = collects.map(c => c.product_id)
+    })
+    return collection
+  }
+
+  // Images are stored as REST product images, other media in a `media` list of the product
+  _productMedia(product) {
+    const images = (product.images || []).map(image => ({
+      id: `gid://shopify/MediaImage/${image.id}`,
+      alt: image.alt || null,
+      mediaContentType: 'IMAGE',
+      status: 'READY',
+      image: { url: image.src },
+      position: image.position,
+      variant_ids: image.variant_ids || []
+    }))
+    return images.concat(product.media || []).sort((a, b) => (a.position || 0) - (b.position || 0))
+  }
+
+  _findMedia(productId, id) {
+    const product = this._find('products', productId)
+    const media = (product.images || []).find(image => `gid://shopify/MediaImage/${image.id}` === id) || (product.media || []).find(m => m.id === id)
+    if (!media) {
+      throw new Error(`Media ${id} does not exist on product ${productId}`)
+    }
+    return media
+  }
+
+  _productNode(productId) {
+    const product = this._table('products').find(p => `${p.id}` === `${productId}`)
+    if (!product) {
+      return null
+    }
+    const media = this._productMedia(product)
+    const options = variant => [variant.option1, variant.option2, variant.option3]
+      .map((value, i) => ({ name: product.options && product.options[i] ? product.options[i].name : null, value }))
+      .filter(option => option.value)
+    return {
+      seo: product.seo || { title: null, description: null },
+      resourcePublications: this._resourcePublications(product),
+      category: product.category || null,
+      media: { edges: media.map(({ position, variant_ids, ...node }) => ({ node })) },
+      variants: {
+        edges: (product.variants || []).map((variant, i) => {
+          const variantMedia = media.find(m => m.variant_ids.indexOf(variant.id) !== -1)
+          return {
+            node: {
+              id: `gid://shopify/ProductVariant/${variant.id}`,
+              title: variant.title,
+              sku: variant.sku || null,
+              barcode: variant.barcode || null,
+              price: variant.price,
+              compareAtPrice: variant.compare_at_price || null,
+              taxable: variant.taxable !== false,
+              inventoryPolicy: (variant.inventory_policy || 'deny').toUpperCase(),
+              position: variant.position || i + 1,
+              selectedOptions: options(variant),
+              inventoryItem: {
+                id: `gid://shopify/InventoryItem/${variant.inventory_item_id || variant.id}`,
+                requiresShipping: variant.requires_shipping !== false,
+                measurement: { weight: WEIGHT_UNITS[variant.weight_unit] ? { value: variant.weight * 1, unit: WEIGHT_UNITS[variant.weight_unit] } : null }
+              },
+              media: { edges: variantMedia ? [{ node: { id: variantMedia.id } }] : [] }
+            }
+          }
+        }),
+        pageInfo: { hasNextPage: false, endCursor: null }
+      }
+    }
+  }
+
+  // Writes a `productSet` input as a REST product. Variants left out of the input are deleted, as by Shopify
+  _setProduct({ id, productOptions = [], variants = [], metafields = [], seo = null, category = null, ...input }) {
+    const fields = {
+      title: input.title,
+      handle: input.handle,
+      body_html: input.descriptionHtml,
+      vendor: input.vendor,
+      product_type: input.productType,
+      tags: (input.tags || []).join(', '),
+      status: (input.status || 'ACTIVE').toLowerCase(),
+      template_suffix: input.templateSuffix || null,
+      seo,
+      category: category ? { id: category } : null,
+      options: productOptions.map((option, i) => ({ name: option.name, position: i + 1, values: option.values.map(value => value.name) }))
+    }
+    const now = new Date().toISOString()
+    let product = id && this._find('products', idOf(id))
+    if (product) {
+      Object.assign(product, fields, { updated_at: now })
+    } else {
+      product = { ...fields, id: this._nextId(this._table('products')), variants: [], images: [], created_at: now, updated_at: now }
+      this._table('products').push(product)
+    }
+    let variantId = this._nextId(this._variants())
+    product.variants = variants.map((variant, i) => {
+      const existing = variant.id ? product.variants.find(v => `${v.id}` === idOf(variant.id)) : null
+      const options = productOptions.map(option => (variant.optionValues.find(value => value.optionName === option.name) || {}).name || null)
+      const item = variant.inventoryItem || {}
+      const weight = item.measurement && item.measurement.weight
+      return {
+        ...existing,
+        id: existing ? existing.id : variantId++,
+        product_id: product.id,
+        title: options.filter(option => option).join(' / '),
+        option1: options[0] || null,
+        option2: options[1] || null,
+        option3: options[2] || null,
+        price: variant.price,
+        compare_at_price: variant.compareAtPrice || null,
+        barcode: variant.barcode || null,
+        taxable: variant.taxable !== false,
+        inventory_policy: (variant.inventoryPolicy || 'DENY').toLowerCase(),
+        position: variant.position || i + 1,
+        sku: item.sku || null,
+        requires_shipping: item.requiresShipping !== false,
+        weight: weight ? weight.value : 0,
+        weight_unit: weight ? Object.keys(WEIGHT_UNITS).find(unit => WEIGHT_UNITS[unit] === weight.unit) : 'kg'
+      }
+    })
+    this._write('metafields', () => metafields.forEach((metafield) => {
+      const existing = this._table('metafields').find(m => m.owner_resource === 'product' && `${m.owner_id}` === `${product.id}` &&
+        m.namespace === metafield.namespace && m.key === metafield.key)
+      if (existing) {
+        Object.assign(existing, metafield, { updated_at: now })
+      } else {
+        this._table('metafields').push({ ...metafield, id: this._nextId(this._table('metafields')), owner_resource: 'product', owner_id: product.id, created_at: now, updated_at: now })
+      }
+    }))
+    return product
+  }
+
+  _createMedia(product, { mediaContentType, originalSource, alt = null }) {
+    const position = this._productMedia(product).length + 1
+    if (mediaContentType === 'IMAGE') {
+      const image = { id: this._nextId(this._images()), product_id: product.id, src: originalSource, alt, position, variant_ids: [] }
+      product.images = (product.images || []).concat([image])
+      return { id: `gid://shopify/MediaImage/${image.id}`, status: 'READY' }
+    }
+    const types = { VIDEO: 'Video', EXTERNAL_VIDEO: 'ExternalVideo', MODEL_3D: 'Model3d' }
+    const id = `gid://shopify/${types[mediaContentType]}/${this._nextId(this._table('products').reduce((all, p) => all.concat(p.media || []), []))}`
+    const source = mediaContentType === 'EXTERNAL_VIDEO'
+      ? { originUrl: originalSource }
+      : { filename: originalSource.split('?')[0].split('/').pop(), originalSource: { url: originalSource, mimeType: null } }
+    product.media = (product.media || []).concat([{ id, alt, mediaContentType, status: 'READY', ...source, position, variant_ids: [] }])
+    return { id, status: 'READY' }
+  }
+
+  _linkVariantMedia({ productId, variantMedia }, attach) {
+    const id = idOf(productId)
+    variantMedia.forEach(({ variantId, mediaIds }) => {
+      const variant = idOf(variantId) * 1
+      mediaIds.forEach((mediaId) => {
+        const media = this._findMedia(id, mediaId)
+        media.variant_ids = (media.variant_ids || []).filter(v => v !== variant).concat(attach ? [variant] : [])
+      })
+    })
+    return { productVariants: variantMedia.map(({ variantId }) => ({ id: variantId })), userErrors: [] }
+  }
+
+  _collection(gid) {
+    const id = `${gid}`.split('/').pop()
+    const smart = this._table('smart_collections').find(c => `${c.id}` === id)
+    const collection = smart || this._table('custom_collections').find(c => `${c.id}` === id)
+    if (!collection) {
+      return null
+    }
+    return {
+      id: gid,
+      handle: collection.handle,
+      ruleSet: smart ? { appliedDisjunctively: !!smart.disjunctive } : null,
+      resourcePublications: this._resourcePublications(collection)
+    }
+  }
+
+  // Products and collections saved from the REST API only tell whether they are on the Online Store, with `published_at`
+  _publicationIds(item) {
+    if (item.publication_ids) {
+      return item.publication_ids
+    }
+    return item.published_at ? this._table('publications').filter(p => p.name === 'Online Store').map(p => p.id) : []
+  }
+
+  _resourcePublications(item) {
+    const ids = this._publicationIds(item)
+    return { edges: this._table('publications').filter(p => ids.indexOf(p.id) !== -1).map(publication => ({ node: { publication } })) }
+  }
+
+  _connection(type, query, variables, where = () => true) {
+    const first = (query.match(new RegExp(`${type}\\([^)]*first:\\s*(\\d+)`)) || [])[1] * 1 || 250
+    const after = (query.match(new RegExp(`${type}\\([^)]*after:\\s*"(\\d+)"`)) || [])[1] || variables.after
+    const nodes = this._table(type).filter(where)
+    const start = after ? after * 1 : 0
+    const end = Math.min(start + first, nodes.length)
+    return {
+      edges: this._copy(nodes.slice(start, end)).map(node => ({ node })),
+      pageInfo: { hasNextPage: end < nodes.length, endCursor: `${end}` }
+    }
+  }
+
+  _createFile({ originalSource, alt }) {
+    const isImage = IMAGE_EXTENSIONS.test(originalSource.split('?')[0])
+    const now = new Date().toISOString()
+    const file = isImage
+      ? { __typename: 'MediaImage', id: `gid://shopify/MediaImage/${this._nextId(this._table('files'))}`, alt, image: { originalSrc: originalSource } }
+      : { __typename: 'GenericFile', id: `gid://shopify/GenericFile/${this._nextId(this._table('files'))}`, alt, url: originalSource, fileStatus: 'READY' }
+    const created = { ...file, createdAt: now, updatedAt: now }
+    this._table('files').push(created)
+    return created
+  }
+
+  _createMenu({ title, handle, items = [] }) {
+    const menu = { id: `gid://shopify/Menu/${this._nextId(this._table('menus'))}`, handle, title, items: this._menuItems(items) }
+    this._table('menus').push(menu)
+    return menu
+  }
+
+  _updateMenu({ id, title, handle, items = [] }) {
+    const menu = this._table('menus').find(m => m.id === id)
+    if (!menu) {
+      throw new Error(`Menu ${id} does not exist`)
+    }
+    return Object.assign(menu, { title, handle: handle || menu.handle, items: this._menuItems(items) })
+  }
+
+  // Items of every menu, nested ones included
+  _allMenuItems() {
+    const flatten = items => items.reduce((all, item) => all.concat([item], flatten(item.items || [])), [])
+    return flatten(this._table('menus').reduce((all, menu) => all.concat(menu.items || []), []))
+  }
+
+  _menuItems(items) {
+    let itemId = this._nextId(this._allMenuItems())
+    const build = list => list.map(item => ({
+      id: `gid://shopify/MenuItem/${itemId++}`,
+      title: item.title,
+      type: item.type,
+      url: item.url || null,
+      resourceId: item.resourceId || null,
+      tags: item.tags || [],
+      items: build(item.items || [])
+    }))
+    return build(items)
+  }
+
+  _copy(value) {
+    return value === undefined ? value : JSON.parse(JSON.stringify(value))
+  }
+}
+
+// Mimics REST cursor pagination: the page is exposed as an array with `nextPageParameters` when there is more
+function paginate(items, params = {}) {
+  const limit = (params.limit || 50) * 1
+  const start = (params.page_info || 0) * 1
+  const page = items.slice(start, start + limit)
+  if (start + limit < items.length) {
+    Object.defineProperty(page, 'nextPageParameters', { value: { ...params, page_info: `${start + limit}` } })
+  }
+  return page
+}
+
+// Numeric id of a GID
+function idOf(gid) {
+  return `${gid}`.split('/').pop()
+}
+
+// Same error shape as the HTTP errors of `shopify-api-node`
+function notFound(type, id) {
+  const error = new Error(`Response code 404 (Not Found): no ${type} with id ${id}`)
+  error.statusCode = 404
+  error.response = { statusCode: 404, body: { errors: 'Not Found' } }
+  return error
+}
+
+// Smart collection rules on the product fields that don't need the rest of the store
+function matchesRules(collection, product) {
+  const values = {
+    tag: (product.tags || '').split(',').map(t => t.trim()),
+    title: [product.title],
+    type: [product.product_type],
+    vendor: [product.vendor],
+    variant_price: (product.variants || []).map(v => v.price * 1)
+  }
+  const relations = {
+    equals: (value, condition) => `${value}` === condition,
+    not_equals: (value, condition) => `${value}` !== condition,
+    starts_with: (value, condition) => `${value}`.indexOf(condition) === 0,
+    ends_with: (value, condition) => `${value}`.endsWith(condition),
+    contains: (value, condition) => `${value}`.indexOf(condition) !== -1,
+    not_contains: (value, condition) => `${value}`.indexOf(condition) === -1,
+    greater_than: (value, condition) => value > condition * 1,
+    less_than: (value, condition) => value < condition * 1
+  }
+  const results = (collection.rules || []).map(({ column, relation, condition }) => {
+    return !!values[column] && !!relations[relation] && values[column].some(value => relations[relation](value, condition))
+  })
+  return collection.disjunctive ? results.some(r => r) : results.every(r => r)
+}
+
+function searchOf(query, variables) {
+  const inline = query.match(/files\([^)]*query:\s*("(?:[^"\\]|\\.)*")/)
+  return inline ? JSON.parse(inline[1]) : (variables.query || '')
+}
+
+// Supports the `filename:'...'` and `updated_at:>'...'` terms of the files search syntax
+function matchesFileSearch(file, search) {
+  const filename = search.match(/filename:'([^']*)'/)
+  const updatedSince = search.match(/updated_at:>'([^']*)'/)
+  const url = file.__typename === 'GenericFile' ? file.url : file.image && file.image.originalSrc
+  return (!filename || (!!url && url.split('?')[0].split('/').pop() === filename[1])) &&
+    (!updatedSince || new Date(file.updatedAt) > new Date(updatedSince[1]))
+}
+
+module.exports = FileStore
@@ -0,0 +1,102 @@
+/**
+ * Narrows a migration down to a subset of the source store: a list of handles, tags, a product status,
+ * resources updated since a date, or the products of one collection.
+ * Filters are sent along with the REST `list` params and GraphQL queries where the API supports them,
+ * and every listed resource is checked again with `matches` for the ones it doesn't.
+ */
+class Filters {
+  constructor({ handles = [], tags = [], status = null, updatedSince = null, collection = null } = {}) {
+    this.handles = handles
+    this.tags = tags
+    this.status = status
+    this.updatedSince = updatedSince
+    this.collection = collection
+    this.collectionId = null
+    this.collectionProductIds = null
+  }
+
+  isEmpty() {
+    return !this.handles.length && !this.tags.length && !this.status && !this.updatedSince && !this.collection
+  }
+
+  /**
+   * Looks up the products of the `collection` filter on the source store. Needed before listing products.
+   */
+  async load(client) {
+    if (!this.collection || this.collectionProductIds) {
+      return
+    }
+    const smart = await client.smartCollection.list({ handle: this.collection, fields: 'id' })
+    const custom = smart.length ? [] : await client.customCollection.list({ handle: this.collection, fields: 'id' })
+    const collection = smart[0] || custom[0]
+    if (!collection) {
+      throw new Error(`Collection ${this.collection} not found on the source store`)
+    }
+    this.collectionId = collection.id
+    this.collectionProductIds = new Set()
+    let params = { limit: 250, fields: 'id' }
+    do {
+      const products = await client.collection.products(collection.id, params)
+      products.forEach(product => this.collectionProductIds.add(product.id))
+      params = products.nextPageParameters
+    } while (params !== undefined)
+  }
+
+  /**
+   * Filters of a type the REST `list` endpoint understands, to merge into the params of the first page.
+   */
+  restParams(type) {
+    const params = {}
+    if (this.updatedSince) {
+      params.updated_at_min = this.updatedSince.toISOString()
+    }
+    // Products take a comma separated list of handles, the other endpoints a single one
+    if (this.handles.length && type !== 'customers' && (type === 'products' || this.handles.length === 1)) {
+      params.handle = this.handles.join(',')
+    }
+    if (type === 'products' && this.status) {
+      params.status = this.status
+    }
+    if (type === 'products' && this.collectionId) {
+      params.collection_id = this.collectionId
+    }
+    if (type === 'articles' && this.tags.length === 1) {
+      params.tag = this.tags[0]
+    }
+    return params
+  }
+
+  /**
+   * Search syntax of the GraphQL `files` query.
+   */
+  fileQuery() {
+    return this.updatedSince ? `updated_at:>'${this.updatedSince.toISOString()}'` : null
+  }
+
+  matches(type, resource) {
+    const handle = type === 'files' || type === 'customers' ? null : resource.handle
+    if (handle !== null && this.handles.length && this.handles.indexOf(handle) === -1) {
+      return false
+    }
+    // Only products, articles and customers have tags, the tag filter leaves the other types alone
+    if (this.tags.length && (type === 'products' || type === 'articles' || type === 'customers')) {
+      const tags = (resource.tags || '').split(',').map(t => t.trim())
+      if (!this.tags.find(tag => tags.indexOf(tag) !== -1)) {
+        return false
+      }
+    }
+    if (type === 'products' && this.status && resource.status !== this.status) {
+      return false
+    }
+    if (type === 'products' && this.collectionProductIds && !this.collectionProductIds.has(resource.id)) {
+      return false
+    }
+    const updatedAt = resource.updated_at || resource.updatedAt
+    if (this.updatedSince && updatedAt && new Date(updatedAt) < this.updatedSince) {
+      return false
+    }
+    return true
+  }
+}
+
+module.exports = Filters
@@ -0,0 +1,29 @@
+const path = require('path');
+
+/**
+ * User hooks loaded from the JS module given to `--hooks`. The module can export:
+ * - `shouldMigrate(type, resource, context)`, returning `false` to leave a resource out
+ * - `transform{Type}(resource, context)` (`transformProduct`, `transformPage`, `transformMetafield`, ...),
+ *   returning the resource to send, or `null`/`false` to skip it. Returning nothing keeps the resource as modified in place.
+ * Hooks may be async.
+ */
+class Hooks {
+  constructor(file = null) {
+    this.file = file
+    this.hooks = file ? require(path.resolve(file)) : {}
+  }
+
+  async apply(type, resource, context = {}) {
+    if (this.hooks.shouldMigrate && !(await this.hooks.shouldMigrate(type, resource, context))) {
+      return null
+    }
+    const transform = this.hooks[`transform${type.charAt(0).toUpperCase()}${type.slice(1)}`]
+    if (!transform) {
+      return resource
+    }
+    const result = await transform(resource, context)
+    return result === undefined ? resource : result || null
+  }
+}
+
+module.exports = Hooks
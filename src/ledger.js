@@ -0,0 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Append-only record of every resource the tool created on the destination store.
+ * Each line of the file is a JSON entry: `{ runId, shop, type, sourceId, destinationId, handle, action, createdAt }`,
+ * `action` being `created`, `updated` or `matched` (found on the destination store). When the same source resource is migrated twice, the latest entry wins.
+ * `shop` is the destination store: entries of other stores writing to the same file are ignored.
+ * Without `persist` (dry runs), entries are only kept in memory.
+ */
+class Ledger {
+  constructor(file = 'data/ledger.jsonl', runId = new Date().toISOString(), { shop = null, onRecord = () => {}, persist = true } = {}) {
+    this.file = file
+    this.runId = runId
+    this.shop = shop
+    this.onRecord = onRecord
+    this.persist = persist
+    this.bySource = {}
+    this.load()
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) {
+      return
+    }
+    fs.readFileSync(this.file, 'utf8').split('\n').filter(line => line.trim()).forEach((line) => {
+      const entry = JSON.parse(line)
+      // Entries written before the store was recorded are kept
+      if (entry.shop && this.shop && entry.shop !== this.shop) {
+        return
+      }
+      this.bySource[`${entry.type}:${entry.sourceId}`] = entry
+    })
+  }
+
+  record(type, sourceId, destinationId, handle = null, action = 'created') {
+    const entry = {
+      runId: this.runId,
+      shop: this.shop,
+      type,
+      sourceId,
+      destinationId,
+      handle,
+      action,
+      createdAt: new Date().toISOString()
+    }
+    this.bySource[`${type}:${sourceId}`] = entry
+    if (!this.persist) {
+      return entry
+    }
+    fs.mkdirSync(path.dirname(this.file), { recursive: true })
+    fs.appendFileSync(this.file, `${JSON.stringify(entry)}\n`)
+    this.onRecord(entry)
+    return entry
+  }
+
+  get(type, sourceId) {
+    return this.bySource[`${type}:${sourceId}`] || null
+  }
+
+  destinationId(type, sourceId) {
+    const entry = this.get(type, sourceId)
+    return entry ? entry.destinationId : null
+  }
+
+  entries(type) {
+    return Object.values(this.bySource).filter(entry => entry.type === type)
+  }
+}
+
+module.exports = Ledger
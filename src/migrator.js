@@ -1,56 +1,335 @@
 const Shopify = require('shopify-api-node');
 const fs = require('fs');
 const fetch = require('node-fetch');
+const Ledger = require('./ledger.js');
+const Checkpoint = require('./checkpoint.js');
+const Throttle = require('./throttle.js');
+const Filters = require('./filters.js');
+const Hooks = require('./hooks.js');
+const Report = require('./report.js');
+const Anonymizer = require('./anonymizer.js');
+const FileStore = require('./filestore.js');
+const { normalizeTags, compareFields, diffResources, diffChildren } = require('./diff.js');
 require('dotenv').config();
 
+// Metafield types holding GIDs of other resources, alone or in a `list.` form
+const REFERENCE_TYPES = [
+  'product_reference',
+  'variant_reference',
+  'collection_reference',
+  'file_reference',
+  'page_reference',
+  'metaobject_reference',
+  'mixed_reference'
+]
+
+// Admin API version of the stores, unless their profile, `--api-version` or SHOPIFY_API_VERSION picks another
+const API_VERSION = '2023-10'
+// `--graphql-products` needs `productSet` with product options and up to 2048 variants
+const PRODUCT_SET_API_VERSION = '2024-10'
+// The REST product endpoints return at most 100 variants per product
+const REST_VARIANT_LIMIT = 100
+const WEIGHT_UNITS = { g: 'GRAMS', kg: 'KILOGRAMS', lb: 'POUNDS', oz: 'OUNCES' }
+
+// Variant fields read to write products with `productSet`, see `restVariant`
+const VARIANT_FIELDS = `
+  id
+  title
+  sku
+  barcode
+  price
+  compareAtPrice
+  taxable
+  inventoryPolicy
+  position
+  selectedOptions {
+    name
+    value
+  }
+  inventoryItem {
+    id
+    requiresShipping
+    measurement {
+      weight {
+        value
+        unit
+      }
+    }
+  }
+`
+
+// Resource types whose translations `--translations` copies, with the ledger types of their resources.
+// Metafields come last, once the resources owning them are mapped
+const TRANSLATABLE_TYPES = {
+  PRODUCT: ['product'],
+  COLLECTION: ['smart_collection', 'custom_collection'],
+  ONLINE_STORE_PAGE: ['page'],
+  ONLINE_STORE_BLOG: ['blog'],
+  ONLINE_STORE_ARTICLE: ['article'],
+  MENU: [],
+  LINK: [],
+  METAFIELD: ['metafield']
+}
+// Metafield types of anonymized customers that are copied, as their values can't identify anyone.
+// Dates, text, JSON, URLs and files may, they need `--customer-metafields`
+const ANONYMOUS_METAFIELD_TYPES = [
+  'boolean', 'number_integer', 'number_decimal', 'rating', 'color', 'weight', 'volume', 'dimension',
+  'product_reference', 'variant_reference', 'collection_reference', 'page_reference',
+  'list.number_integer', 'list.number_decimal', 'list.rating', 'list.color', 'list.weight', 'list.volume', 'list.dimension',
+  'list.product_reference', 'list.variant_reference', 'list.collection_reference', 'list.page_reference'
+]
+
+// Translatable resource type of the resources owning metafields, by GID kind
+const TRANSLATION_OWNER_TYPES = { Product: 'PRODUCT', Collection: 'COLLECTION', Page: 'ONLINE_STORE_PAGE', Blog: 'ONLINE_STORE_BLOG', Article: 'ONLINE_STORE_ARTICLE' }
+
+// Metaobject fields read from both stores
+const METAOBJECT_FIELDS = `
+  id
+  handle
+  type
+  capabilities {
+    publishable {
+      status
+    }
+  }
+  fields {
+    key
+    type
+    value
+  }
+`
+
+// Fields of a menu item, repeated at every level of the menu tree
+const MENU_ITEM_FIELDS = `
+  id
+  title
+  type
+  url
+  resourceId
+  tags
+`
+
+// Menu item types linking to a resource, whose `resourceId` must be remapped
+const MENU_RESOURCE_TYPES = ['PRODUCT', 'COLLECTION', 'PAGE', 'BLOG', 'ARTICLE']
+
+// Resources whose metafield definitions are copied over
+const METAFIELD_OWNER_TYPES = ['PRODUCT', 'PRODUCTVARIANT', 'COLLECTION', 'PAGE', 'BLOG', 'ARTICLE', 'SHOP']
+
+const MEDIA_FIELDS = `
+  id
+  alt
+  mediaContentType
+  status
+  ... on MediaImage { image { url } }
+  ... on Video { filename originalSource { url mimeType } }
+  ... on ExternalVideo { originUrl }
+  ... on Model3d { filename originalSource { url mimeType } }
+`
+// Product media mutations, with their arguments, what they return and the name of their user errors
+const MEDIA_MUTATIONS = {
+  productCreateMedia: { variables: '$productId: ID!, $media: [CreateMediaInput!]!', args: 'productId: $productId, media: $media', fields: 'media { id }', errors: 'mediaUserErrors' },
+  productUpdateMedia: { variables: '$productId: ID!, $media: [UpdateMediaInput!]!', args: 'productId: $productId, media: $media', fields: 'media { id }', errors: 'mediaUserErrors' },
+  productDeleteMedia: { variables: '$productId: ID!, $mediaIds: [ID!]!', args: 'productId: $productId, mediaIds: $mediaIds', fields: 'deletedMediaIds', errors: 'mediaUserErrors' },
+  productReorderMedia: { variables: '$id: ID!, $moves: [MoveInput!]!', args: 'id: $id, moves: $moves', fields: 'job { id }', errors: 'mediaUserErrors' },
+  productVariantAppendMedia: { variables: '$productId: ID!, $variantMedia: [ProductVariantAppendMediaInput!]!', args: 'productId: $productId, variantMedia: $variantMedia', fields: 'productVariants { id }', errors: 'userErrors' },
+  productVariantDetachMedia: { variables: '$productId: ID!, $variantMedia: [ProductVariantDetachMediaInput!]!', args: 'productId: $productId, variantMedia: $variantMedia', fields: 'productVariants { id }', errors: 'userErrors' }
+}
+
+// Discount types that can be copied, with the name of their create/update mutations and input.
+// App discounts depend on the Shopify Function of an app installed on the source store and are left out
+const DISCOUNT_TYPES = {
+  DiscountCodeBasic: { mutation: 'discountCodeBasic', input: 'basicCodeDiscount', inputType: 'DiscountCodeBasicInput', code: true },
+  DiscountCodeBxgy: { mutation: 'discountCodeBxgy', input: 'bxgyCodeDiscount', inputType: 'DiscountCodeBxgyInput', code: true },
+  DiscountCodeFreeShipping: { mutation: 'discountCodeFreeShipping', input: 'freeShippingCodeDiscount', inputType: 'DiscountCodeFreeShippingInput', code: true },
+  DiscountAutomaticBasic: { mutation: 'discountAutomaticBasic', input: 'automaticBasicDiscount', inputType: 'DiscountAutomaticBasicInput', code: false },
+  DiscountAutomaticBxgy: { mutation: 'discountAutomaticBxgy', input: 'automaticBxgyDiscount', inputType: 'DiscountAutomaticBxgyInput', code: false }
+}
+const DISCOUNT_ITEMS_FIELDS = `
+  __typename
+  ... on DiscountProducts {
+    products(first: 100) { edges { node { id } } pageInfo { hasNextPage endCursor } }
+    productVariants(first: 100) { edges { node { id } } pageInfo { hasNextPage endCursor } }
+  }
+  ... on DiscountCollections {
+    collections(first: 100) { edges { node { id } } pageInfo { hasNextPage endCursor } }
+  }
+`
+const DISCOUNT_FIELDS = {
+  common: 'title startsAt endsAt combinesWith { orderDiscounts productDiscounts shippingDiscounts }',
+  code: `
+    codes(first: 100) { edges { node { code } } pageInfo { hasNextPage endCursor } }
+    usageLimit
+    appliesOncePerCustomer
+    customerSelection {
+      __typename
+      ... on DiscountCustomers { customers { id email } }
+      ... on DiscountCustomerSegments { segments { id name } }
+    }
+  `,
+  minimum: `
+    minimumRequirement {
+      __typename
+      ... on DiscountMinimumQuantity { greaterThanOrEqualToQuantity }
+      ... on DiscountMinimumSubtotal { greaterThanOrEqualToSubtotal { amount } }
+    }
+  `,
+  gets: `
+    customerGets {
+      value {
+        __typename
+        ... on DiscountPercentage { percentage }
+        ... on DiscountAmount { amount { amount } appliesOnEachItem }
+        ... on DiscountOnQuantity { quantity { quantity } effect { ... on DiscountPercentage { percentage } } }
+      }
+      items { ${DISCOUNT_ITEMS_FIELDS} }
+      appliesOnOneTimePurchase
+      appliesOnSubscription
+    }
+  `,
+  buys: `
+    customerBuys {
+      value {
+        __typename
+        ... on DiscountQuantity { quantity }
+        ... on DiscountPurchaseAmount { amount }
+      }
+      items { ${DISCOUNT_ITEMS_FIELDS} }
+    }
+    usesPerOrderLimit
+  `,
+  shipping: `
+    destinationSelection {
+      __typename
+      ... on DiscountCountries { countries includeRestOfWorld }
+    }
+    maximumShippingPrice { amount }
+    appliesOnOneTimePurchase
+    appliesOnSubscription
+  `
+}
+const DISCOUNT_TYPE_FIELDS = {
+  DiscountCodeBasic: ['common', 'code', 'minimum', 'gets'],
+  DiscountCodeBxgy: ['common', 'code', 'gets', 'buys'],
+  DiscountCodeFreeShipping: ['common', 'code', 'minimum', 'shipping'],
+  DiscountAutomaticBasic: ['common', 'minimum', 'gets'],
+  DiscountAutomaticBxgy: ['common', 'gets', 'buys']
+}
+
+// One line summary of a menu tree, children in brackets
+function describeMenuItems(items = []) {
+  return items.map(i => `${i.title} (${i.type}) ${i.url}${i.tags && i.tags.length ? ` tags:${i.tags.join(',')}` : ''}${i.items && i.items.length ? ` [${describeMenuItems(i.items)}]` : ''}`).join('; ')
+}
+
+// Option values of a REST variant (`option1` to `option3`), the way variants are matched between stores
+function variantOptions(variant) {
+  return [variant.option1, variant.option2, variant.option3].filter(option => option).join(' / ')
+}
+
+// REST shape of a GraphQL variant, so that variants read past the REST limit go through the same hooks and matching
+function restVariant(node) {
+  const [option1 = null, option2 = null, option3 = null] = node.selectedOptions.map(option => option.value)
+  const weight = node.inventoryItem.measurement && node.inventoryItem.measurement.weight
+  return {
+    id: node.id.split('/').pop() * 1,
+    title: node.title,
+    sku: node.sku,
+    barcode: node.barcode,
+    price: node.price,
+    compare_at_price: node.compareAtPrice,
+    taxable: node.taxable,
+    inventory_policy: node.inventoryPolicy.toLowerCase(),
+    position: node.position,
+    option1,
+    option2,
+    option3,
+    requires_shipping: node.inventoryItem.requiresShipping,
+    inventory_item_id: node.inventoryItem.id.split('/').pop() * 1,
+    weight: weight ? weight.value : 0,
+    weight_unit: weight ? Object.keys(WEIGHT_UNITS).find(unit => WEIGHT_UNITS[unit] === weight.unit) : 'kg'
+  }
+}
+
+// Product media are matched by file name, external videos by URL
+function mediaKey(media) {
+  if (media.mediaContentType === 'EXTERNAL_VIDEO') {
+    return `${media.mediaContentType}:${media.originUrl}`
+  }
+  const url = media.image ? media.image.url : media.filename || (media.originalSource && media.originalSource.url) || ''
+  return `${media.mediaContentType}:${url.split('?')[0].split('/').pop()}`
+}
+
+// multipart/form-data body of a staged upload: its parameters, then the file
+function multipart(parameters, filename, mimeType, file) {
+  const boundary = `----StoreDuplicator${Date.now().toString(16)}`
+  const parts = parameters.map(({ name, value }) => Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`))
+  parts.push(
+    Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${filename}"\r\nContent-Type: ${mimeType}\r\n\r\n`),
+    file,
+    Buffer.from(`\r\n--${boundary}--\r\n`)
+  )
+  return { body: Buffer.concat(parts), contentType: `multipart/form-data; boundary=${boundary}` }
+}
+
+// Customers are matched by email, or by phone when they have none
+function customerKey(customer) {
+  return customer.email ? customer.email.toLowerCase() : customer.phone
+}
+
 class Migrator {
-  constructor(sourceStore, destinationStore, verbosity = 4, saveData) {
+  constructor(sourceStore, destinationStore, verbosity = 4, saveData, options = {}) {
     this.config = {
       source: sourceStore,
       destination: destinationStore
     }
     this.saveData = !!saveData
     this.verbosity = verbosity
-    this.source = new Shopify({
-      shopName: process.env.SOURCE_SHOPIFY_STORE,
-      accessToken: process.env.SOURCE_SHOPIFY_API_PASSWORD,
-      apiVersion: '2023-10'
-    });
-    this.destination = new Shopify({
-      shopName: process.env.DESTINATION_SHOPIFY_STORE,
-      accessToken: process.env.DESTINATION_SHOPIFY_API_PASSWORD,
-      apiVersion: '2023-10'
-    });
-
-    // Add GraphQL method to Shopify clients
-    this.source.graphql = async (query, variables = {}) => {
-      console.log(`Attempting to connect to: https://${process.env.SOURCE_SHOPIFY_STORE}/admin/api/2023-10/graphql.json`);
-      const response = await fetch(`https://${process.env.SOURCE_SHOPIFY_STORE}/admin/api/2023-10/graphql.json`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Shopify-Access-Token': process.env.SOURCE_SHOPIFY_API_PASSWORD,
-        },
-        body: JSON.stringify({ query, variables }),
-      });
-      return response.json();
-    };
-
-    this.destination.graphql = async (query, variables = {}) => {
-      console.log(`Attempting to connect to: https://${process.env.DESTINATION_SHOPIFY_STORE}/admin/api/2023-10/graphql.json`);
-      const response = await fetch(`https://${process.env.DESTINATION_SHOPIFY_STORE}/admin/api/2023-10/graphql.json`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Shopify-Access-Token': process.env.DESTINATION_SHOPIFY_API_PASSWORD,
-        },
-        body: JSON.stringify({ query, variables }),
-      });
-      return response.json();
-    };
+    this.dryRun = !!options.dryRun
+    this.updateExisting = !!options.update
+    this.rewriteRedirectTargets = !!options.rewriteRedirectTargets
+    // Customers are anonymized unless told otherwise, see `anonymizer.js`
+    this.anonymize = options.anonymize !== false
+    this.anonymizer = this.anonymize && process.env.ANONYMIZE_SECRET ? new Anonymizer(process.env.ANONYMIZE_SECRET) : null
+    // Namespaces and `namespace.key`s of the customer metafields holding no personal information, see `_customerMetafields`
+    this.customerMetafields = options.customerMetafields || []
+    this.apiVersion = options.apiVersion || process.env.SHOPIFY_API_VERSION || API_VERSION
+    // Products are written with GraphQL `productSet` instead of the REST product endpoints, see `_setProduct`
+    this.graphqlProducts = !!options.graphqlProducts
+    // Sales channels every product and collection is published to instead of the channels of its source, see `_publish`
+    this.publishTo = options.publishTo || null
+    this.destinationPublications = null
+    this.missingPublications = new Set()
+    // Checkpointed types that had a failure, whose checkpoint stays before it, see `checkpointedForEach`
+    this.failedCheckpoints = new Set()
+    this.plan = {}
+    this.runId = options.runId || new Date().toISOString()
+    this.report = new Report({
+      runId: this.runId,
+      logFile: options.logFile,
+      destination: destinationStore ? destinationStore.name : process.env.DESTINATION_SHOPIFY_STORE,
+      dryRun: this.dryRun
+    })
+    this.ledger = new Ledger(options.ledger, this.runId, {
+      shop: destinationStore ? destinationStore.store || destinationStore.name : process.env.DESTINATION_SHOPIFY_STORE,
+      onRecord: entry => this.report.record(entry),
+      persist: !this.dryRun
+    })
+    this.references = {}
+    this.migrating = new Set()
+    this.checkpoint = new Checkpoint(options.checkpoint, {
+      resume: !!options.resume,
+      persist: !this.dryRun
+    })
+    this.concurrency = options.concurrency || {}
+    this.filters = new Filters(options.filters)
+    this.hooks = new Hooks(options.hooks)
+    this.sourceThrottle = new Throttle({ onWait: message => this.log(`[SOURCE THROTTLE] ${message}`) })
+    this.destinationThrottle = new Throttle({ onWait: message => this.log(`[DESTINATION THROTTLE] ${message}`) })
+    // A snapshot (or any client with the same interface) can stand in for the source store
+    this.source = options.source || this._connect('SOURCE', this.sourceThrottle, sourceStore)
+    this.destination = options.destination || (options.sourceOnly ? null : this._connect('DESTINATION', this.destinationThrottle, destinationStore))
 
     if (this.saveData) {
-      const types = ['products', 'pages', 'metafields', 'collections', 'articles', 'blogs', 'files']
+      const types = ['products', 'pages', 'metafields', 'collections', 'articles', 'blogs', 'files', 'menus', 'metaobjects', 'redirects']
       types.forEach(type => {
         const dir = `data/${type}`
         if (fs.existsSync(dir)) {
@@ -69,44 +348,209 @@ class Migrator {
         ['read_products', 'write_products'],
         ['read_files', 'write_files'],
         ['read_themes', 'write_themes'],
+        ['read_inventory', 'read_locations'],
+        ['read_customers'],
+        ['read_discounts'],
+        ['read_publications'],
+        ['read_translations', 'read_locales'],
       ],
       destination: [
         ['write_content'],
         ['write_products'],
         ['write_files'],
         ['write_themes'],
+        ['write_inventory'],
+        ['write_customers'],
+        ['write_discounts'],
+        ['write_publications'],
+        ['write_translations', 'write_locales'],
       ]
     };
   }
 
-  log(message) {
+  /**
+   * Connects to a store described by a profile (see `profiles.js`), or by the `{prefix}_SHOPIFY_*` env vars when there is none.
+   * A profile with a `dir` opens a file store (see `filestore.js`) instead of a live store.
+   */
+  _connect(prefix, throttle, profile = null) {
+    if (profile && profile.dir) {
+      return new FileStore(profile.dir, { shop: profile.name })
+    }
+    const store = profile ? profile.store : process.env[`${prefix}_SHOPIFY_STORE`]
+    const accessToken = profile ? profile.token : process.env[`${prefix}_SHOPIFY_API_PASSWORD`]
+    const apiVersion = this._apiVersion(profile)
+    const client = new Shopify({
+      shopName: store,
+      accessToken,
+      apiVersion
+    });
+    throttle.attach(client)
+
+    // Add GraphQL method to Shopify clients
+    client.graphql = async (query, variables = {}) => {
+      console.log(`Attempting to connect to: https://${store}/admin/api/${apiVersion}/graphql.json`);
+      return throttle.graphql(() => fetch(`https://${store}/admin/api/${apiVersion}/graphql.json`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Shopify-Access-Token': accessToken,
+        },
+        body: JSON.stringify({ query, variables }),
+      }));
+    };
+    return client
+  }
+
+  _apiVersion(profile = null) {
+    return (profile && profile.apiVersion) || this.apiVersion
+  }
+
+  log(message, ...details) {
+    this.report.log('log', message, details)
     if (this.verbosity >= 4) {
-      console.log(message);
+      console.log(message, ...details);
     }
   }
 
-  info(message) {
+  info(message, ...details) {
+    this.report.log('info', message, details)
     if (this.verbosity >= 3) {
-      console.info(message);
+      console.info(message, ...details);
     }
   }
 
-  warn(message) {
+  warn(message, ...details) {
+    this.report.log('warn', message, details)
     if (this.verbosity >= 2) {
-      console.warn(message);
+      console.warn(message, ...details);
     }
   }
 
-  error(message) {
+  error(message, ...details) {
+    this.report.log('error', message, details)
     if (this.verbosity >= 1) {
-      console.error(message);
+      console.error(message, ...details);
+    }
+  }
+
+  /**
+   * Runs `callback` over `array` with at most `concurrency` items in flight.
+   * Requests are paced by the store throttles, so a high concurrency only goes as fast as the API allows.
+   */
+  async asyncForEach(array, callback, concurrency = 1) {
+    let next = 0
+    const worker = async () => {
+      while (next < array.length) {
+        const index = next++
+        await callback(array[index], index, array);
+      }
+    }
+    const workers = []
+    for (let i = 0; i < Math.max(1, Math.min(concurrency, array.length)); i++) {
+      workers.push(worker())
+    }
+    await Promise.all(workers)
+  }
+
+  /**
+   * Number of items of a resource type migrated at the same time, as set with `--concurrency`.
+   */
+  concurrencyFor(type) {
+    return this.concurrency[type] || this.concurrency.default || 1
+  }
+
+  /**
+   * Same as `asyncForEach` for one page of a paginated listing, saving a checkpoint after every item.
+   * `cursor` is what was used to fetch the page and `nextCursor` what fetches the following one.
+   * `callback` returns `false` when the item failed: the checkpoint then stays before it for the rest of the run,
+   * so that `--resume` retries it.
+   */
+  async checkpointedForEach(type, cursor, nextCursor, items, callback) {
+    const remaining = this.checkpoint.remaining(type, cursor, items)
+    const done = []
+    let saved = 0
+    await this.asyncForEach(remaining, async (item, index, array) => {
+      if (await callback(item, index, array) === false) {
+        this.failedCheckpoints.add(type)
+      }
+      if (this.failedCheckpoints.has(type)) {
+        return
+      }
+      // Items finish out of order, only checkpoint the end of the run of finished items
+      done[index] = true
+      while (done[saved]) {
+        saved++
+      }
+      this.checkpoint.save(type, cursor, remaining[saved - 1] && remaining[saved - 1].id)
+    }, this.concurrencyFor(type))
+    if (nextCursor && !this.failedCheckpoints.has(type)) {
+      this.checkpoint.save(type, nextCursor)
+    }
+  }
+
+  /**
+   * Runs one step of the migration, unless a resumed run already completed it.
+   * A step with failed resources is not completed, so that `--resume` runs it again.
+   */
+  async step(type, run) {
+    if (this.checkpoint.isComplete(type)) {
+      this.log(`[RESUME] ${type} already completed, skipping.`)
+      return
+    }
+    const failures = this.report.failures.length
+    try {
+      await run()
+    } catch (e) {
+      this._plan('steps', 'fail', type, { error: e })
+      throw e
+    }
+    if (this.report.failures.length === failures) {
+      this.checkpoint.complete(type)
+    }
+  }
+
+  /**
+   * Counts what happened to a source resource in the run report and, during a dry run, records what would happen.
+   * `action` is one of `create`, `skip`, `update`, `replace` or `fail`.
+   */
+  _plan(type, action, name, details = {}) {
+    this.report.count(type, action, name, details)
+    if (!this.dryRun || action === 'fail') {
+      return
+    }
+    if (!this.plan[type]) {
+      this.plan[type] = { create: [], skip: [], update: [], replace: [] }
     }
+    this.plan[type][action].push(name)
   }
 
-  async asyncForEach(array, callback) {
-    for (let index = 0; index < array.length; index++) {
-      await callback(array[index], index, array);
+  /**
+   * Creates or updates a source resource with `work`, counting the outcome in the run report.
+   * Failures are logged and counted instead of stopping the step. `work` may resolve `false` when it left the resource out.
+   * Resolves `false` when the resource failed.
+   */
+  async _attempt(type, action, name, sourceId, work) {
+    try {
+      const result = await work()
+      this._plan(type, result === false ? 'skip' : action, name, { sourceId })
+      return true
+    } catch (e) {
+      this._plan(type, 'fail', name, { sourceId, error: e })
+      this.error(`[${type.toUpperCase()}] ${name} FAILED TO BE ${action === 'create' ? 'CREATED' : 'UPDATED'} PROPERLY. ${e.message}`)
+      return false
+    }
+  }
+
+  _printPlan(type) {
+    if (!this.dryRun) {
+      return
     }
+    const plan = this.plan[type] || { create: [], skip: [], update: [], replace: [] }
+    console.log(`[DRY RUN] ${type}: ${plan.create.length} to create, ${plan.skip.length} to skip, ${plan.update.length} to update, ${plan.replace.length} to delete and replace`)
+    plan.create.forEach(name => console.log(`  + create  ${name}`))
+    plan.skip.forEach(name => console.log(`  = skip    ${name}`))
+    plan.update.forEach(name => console.log(`  * update  ${name}`))
+    plan.replace.forEach(name => console.log(`  ~ replace ${name}`))
   }
 
   async testConnection() {
@@ -126,6 +570,9 @@ class Migrator {
         throw new Error('Could not connect to source store');
       }
 
+      if (!this.destination) {
+        return
+      }
       const destinationResponse = await this.destination.graphql(query);
       if (destinationResponse.data && destinationResponse.data.shop) {
         this.log(`Successfully connected to destination store: ${destinationResponse.data.shop.name}`);
@@ -148,99 +595,32 @@ class Migrator {
     let hasNextPage = true
     let cursor = null
     while (hasNextPage) {
-      const query = `
-        query {
-          files(first: 250${cursor ? `, after: "${cursor}"` : ''}) {
-            edges {
-              node {
-                id
-                createdAt
-                alt
-                ... on MediaImage {
-                  id
-                  image {
-                    originalSrc
-                  }
-                }
-                ... on GenericFile {
-                  id
-                  url
-                  fileStatus
-                }
-              }
-            }
-            pageInfo {
-              hasNextPage
-              endCursor
-            }
-          }
-        }
-      `
-      const response = await this.destination.graphql(query)
-      if (response.errors) {
-        this.error('GraphQL Error:', response.errors);
-        throw new Error(`GraphQL errors: ${JSON.stringify(response.errors)}`);
-      }
-      if (!response.data || !response.data.files) {
-        this.error('Invalid GraphQL response:', response);
-        throw new Error('Invalid GraphQL response structure');
-      }
-      const files = response.data.files.edges.map(edge => edge.node)
-      files.forEach(file => {
+      const files = await this._queryFiles(this.destination, cursor)
+      files.edges.map(edge => edge.node).forEach(file => {
         const fileUrl = file.__typename === 'GenericFile' ? file.url : 
                        file.__typename === 'MediaImage' && file.image ? file.image.originalSrc : null;
         if (fileUrl) {
           destinationFiles[fileUrl] = file;
         }
       })
-      hasNextPage = response.data.files.pageInfo.hasNextPage
-      cursor = response.data.files.pageInfo.endCursor
+      hasNextPage = files.pageInfo.hasNextPage
+      cursor = files.pageInfo.endCursor
     }
 
     // Fetch and migrate files from the source store
     hasNextPage = true
-    cursor = null
+    cursor = this.checkpoint.cursor('files')
     while (hasNextPage) {
-      const query = `
-        query {
-          files(first: 250${cursor ? `, after: "${cursor}"` : ''}) {
-            edges {
-              node {
-                id
-                createdAt
-                alt
-                __typename
-                ... on MediaImage {
-                  id
-                  image {
-                    originalSrc
-                  }
-                }
-                ... on GenericFile {
-                  id
-                  url
-                  fileStatus
-                }
-              }
-            }
-            pageInfo {
-              hasNextPage
-              endCursor
-            }
-          }
+      const page = await this._queryFiles(this.source, cursor, this.filters.fileQuery())
+      const files = page.edges.map(edge => edge.node)
+      await this.checkpointedForEach('files', cursor, page.pageInfo.endCursor, files, async (file) => {
+        if (!this.filters.matches('files', file)) {
+          return
+        }
+        file = await this._applyHooks('file', file)
+        if (!file) {
+          return
         }
-      `
-      const response = await this.source.graphql(query)
-      if (response.errors) {
-        this.error('GraphQL Error:', response.errors);
-        throw new Error(`GraphQL errors: ${JSON.stringify(response.errors)}`);
-      }
-      if (!response.data || !response.data.files) {
-        this.error('Invalid GraphQL response:', response);
-        throw new Error('Invalid GraphQL response structure');
-      }
-      const files = response.data.files.edges.map(edge => edge.node)
-      await this.asyncForEach(files, async (file) => {
         this.saveData && fs.writeFileSync(`data/files/${file.id}.json`, JSON.stringify(file))
 
         const fileUrl = file.__typename === 'GenericFile' ? file.url :
@@ -253,22 +633,77 @@ class Migrator {
         }
 
         if (destinationFiles[fileUrl] && deleteFirst) {
+          this._plan('files', 'replace', fileUrl)
+          if (this.dryRun) {
+            return
+          }
           this.log(`[DUPLICATE FILE] Deleting destination file ${fileUrl}`)
           await this._deleteFile(destinationFiles[fileUrl].id)
         }
         if (destinationFiles[fileUrl] && skipExisting && !deleteFirst) {
           this.log(`[EXISTING FILE] Skipping ${fileUrl}`)
-          return
+          return this._plan('files', 'skip', fileUrl)
+        }
+        if (this._createdThisRun('file', file.id)) {
+          this.log(`[EXISTING FILE] Skipping ${fileUrl}, created through a reference`)
+          return this._plan('files', 'skip', fileUrl)
         }
-        await this._migrateFile(file)
+        if (this.dryRun) {
+          return this._plan('files', 'create', fileUrl)
+        }
+        return this._attempt('files', 'create', fileUrl, file.id, () => this._migrateFile(file))
       })
-      hasNextPage = response.data.files.pageInfo.hasNextPage
-      cursor = response.data.files.pageInfo.endCursor
+      hasNextPage = page.pageInfo.hasNextPage
+      cursor = page.pageInfo.endCursor
     }
 
+    this._printPlan('files')
     this.log('File migration finished!')
   }
 
+  async _queryFiles(client, cursor = null, search = null) {
+    const query = `
+      query {
+        files(first: 250${cursor ? `, after: "${cursor}"` : ''}${search ? `, query: ${JSON.stringify(search)}` : ''}) {
+          edges {
+            node {
+              id
+              createdAt
+              updatedAt
+              alt
+              __typename
+              ... on MediaImage {
+                id
+                image {
+                  originalSrc
+                }
+              }
+              ... on GenericFile {
+                id
+                url
+                fileStatus
+              }
+            }
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    `
+    const response = await client.graphql(query)
+    if (response.errors) {
+      this.error('GraphQL Error:', response.errors);
+      throw new Error(`GraphQL errors: ${JSON.stringify(response.errors)}`);
+    }
+    if (!response.data || !response.data.files) {
+      this.error('Invalid GraphQL response:', response);
+      throw new Error('Invalid GraphQL response structure');
+    }
+    return response.data.files
+  }
+
   async _migrateFile(file) {
     const fileUrl = file.__typename === 'GenericFile' ? file.url :
                    file.__typename === 'MediaImage' && file.image ? file.image.originalSrc : null;
@@ -277,6 +712,7 @@ class Migrator {
       throw new Error(`[FILE ${file.id}] No URL available for file`);
     }
 
+    this.migrating.add(file.id)
     this.info(`[FILE ${file.id}] ${fileUrl} started...`)
     const mutation = `
       mutation fileCreate($files: [FileCreateInput!]!) {
@@ -304,6 +740,7 @@ class Migrator {
       throw new Error(`[FILE ${file.id}] Failed to create: ${response.data.fileCreate.userErrors[0].message}`)
     } else {
       this.info(`[FILE ${file.id}] duplicated. New id is ${response.data.fileCreate.files[0].id}.`)
+      this.ledger.record('file', file.id, response.data.fileCreate.files[0].id, fileUrl)
     }
   }
 
@@ -328,7 +765,21 @@ class Migrator {
     }
   }
 
-  async _getMetafields(resource = null, id = null) {
+  /**
+   * Fetches every page of a REST listing. `list` receives the page parameters.
+   */
+  async _listAll(list) {
+    const items = []
+    let params = { limit: 250 }
+    do {
+      const page = await list(params)
+      page.forEach(item => items.push(item))
+      params = page.nextPageParameters;
+    } while (params !== undefined);
+    return items
+  }
+
+  async _getMetafields(resource = null, id = null, client = this.source) {
     let params = { limit: 250 }
     if (resource && id) {
       params.metafield = {
@@ -338,24 +789,32 @@ class Migrator {
     }
     const metafields = []
     do {
-      const resourceMetafields = await this.source.metafield.list(params)
+      const resourceMetafields = await client.metafield.list(params)
       resourceMetafields.forEach(m => metafields.push(m))
       params = resourceMetafields.nextPageParameters;
     } while (params !== undefined);
     return metafields
   }
   async _migratePage(page) {
+    this.migrating.add(`gid://shopify/Page/${page.id}`)
     this.info(`[PAGE ${page.id}] ${page.handle} started...`)
     const metafields = await this._getMetafields('page', page.id)
     this.info(`[PAGE ${page.id}] has ${metafields.length} metafields...`)
     const newPage = await this.destination.page.create(page)
     this.info(`[PAGE ${page.id}] duplicated. New id is ${newPage.id}.`)
+    this.ledger.record('page', page.id, newPage.id, page.handle)
     await this.asyncForEach(metafields, async (metafield) => {
+      const sourceId = metafield.id
       delete metafield.id
       metafield.owner_resource = 'page'
       metafield.owner_id = newPage.id
       this.info(`[PAGE ${page.id}] Metafield ${metafield.namespace}.${metafield.key} started`)
-      await this.destination.metafield.create(metafield)
+      const remapped = await this._remapMetafield(metafield, `PAGE ${page.id}`)
+      if (!remapped) {
+        return
+      }
+      const newMetafield = await this.destination.metafield.create(remapped)
+      this.ledger.record('metafield', sourceId, newMetafield.id, `${metafield.namespace}.${metafield.key}`)
       this.info(`[PAGE ${page.id}] Metafield ${metafield.namespace}.${metafield.key} done!`)
     })
   }
@@ -366,34 +825,51 @@ class Migrator {
     this.info(`[BLOG ${blog.id}] has ${metafields.length} metafields...`)
     const newBlog = await this.destination.blog.create(blog)
     this.info(`[BLOG ${blog.id}] duplicated. New id is ${newBlog.id}.`)
+    this.ledger.record('blog', blog.id, newBlog.id, blog.handle)
     await this.asyncForEach(metafields, async (metafield) => {
+      const sourceId = metafield.id
       delete metafield.id
       metafield.owner_resource = 'blog'
       metafield.owner_id = newBlog.id
       this.info(`[BLOG ${blog.id}] Metafield ${metafield.namespace}.${metafield.key} started`)
-      await this.destination.metafield.create(metafield)
+      const remapped = await this._remapMetafield(metafield, `BLOG ${blog.id}`)
+      if (!remapped) {
+        return
+      }
+      const newMetafield = await this.destination.metafield.create(remapped)
+      this.ledger.record('metafield', sourceId, newMetafield.id, `${metafield.namespace}.${metafield.key}`)
       this.info(`[BLOG ${blog.id}] Metafield ${metafield.namespace}.${metafield.key} done!`)
     })
   }
 
   async _migrateSmartCollection(collection) {
+    this.migrating.add(`gid://shopify/Collection/${collection.id}`)
     this.info(`[SMART COLLECTION ${collection.id}] ${collection.handle} started...`)
     const metafields = await this._getMetafields('smart_collection', collection.id)
     this.info(`[SMART COLLECTION ${collection.id}] has ${metafields.length} metafields...`)
     delete collection.publications
     const newCollection = await this.destination.smartCollection.create(collection)
     this.info(`[SMART COLLECTION ${collection.id}] duplicated. New id is ${newCollection.id}.`)
+    this.ledger.record('smart_collection', collection.id, newCollection.id, collection.handle)
     await this.asyncForEach(metafields, async (metafield) => {
+      const sourceId = metafield.id
       delete metafield.id
       metafield.owner_resource = 'smart_collection'
       metafield.owner_id = newCollection.id
       this.info(`[SMART COLLECTION ${collection.id}] Metafield ${metafield.namespace}.${metafield.key} started`)
-      await this.destination.metafield.create(metafield)
+      const remapped = await this._remapMetafield(metafield, `SMART COLLECTION ${collection.id}`)
+      if (!remapped) {
+        return
+      }
+      const newMetafield = await this.destination.metafield.create(remapped)
+      this.ledger.record('metafield', sourceId, newMetafield.id, `${metafield.namespace}.${metafield.key}`)
       this.info(`[SMART COLLECTION ${collection.id}] Metafield ${metafield.namespace}.${metafield.key} done!`)
     })
+    await this._publish('Collection', collection.id, newCollection.id, `SMART COLLECTION ${collection.id}`)
   }
 
   async _migrateCustomCollection(collection, productMap = {}) {
+    this.migrating.add(`gid://shopify/Collection/${collection.id}`)
     this.info(`[CUSTOM COLLECTION ${collection.id}] ${collection.handle} started...`)
     const metafields = await this._getMetafields('custom_collection', collection.id)
     const products = []
@@ -413,23 +889,31 @@ class Migrator {
     })
     const newCollection = await this.destination.customCollection.create(collection)
     this.info(`[CUSTOM COLLECTION ${collection.id}] duplicated. New id is ${newCollection.id}.`)
+    this.ledger.record('custom_collection', collection.id, newCollection.id, collection.handle)
     await this.asyncForEach(metafields, async (metafield) => {
+      const sourceId = metafield.id
       delete metafield.id
       metafield.owner_resource = 'custom_collection'
       metafield.owner_id = newCollection.id
       this.info(`[CUSTOM COLLECTION ${collection.id}] Metafield ${metafield.namespace}.${metafield.key} started`)
-      await this.destination.metafield.create(metafield)
+      const remapped = await this._remapMetafield(metafield, `CUSTOM COLLECTION ${collection.id}`)
+      if (!remapped) {
+        return
+      }
+      const newMetafield = await this.destination.metafield.create(remapped)
+      this.ledger.record('metafield', sourceId, newMetafield.id, `${metafield.namespace}.${metafield.key}`)
       this.info(`[CUSTOM COLLECTION ${collection.id}] Metafield ${metafield.namespace}.${metafield.key} done!`)
     })
+    await this._publish('Collection', collection.id, newCollection.id, `CUSTOM COLLECTION ${collection.id}`)
   }
 
   async _migrateProduct(product) {
+    this.migrating.add(`gid://shopify/Product/${product.id}`)
     this.info(`[PRODUCT ${product.id}] ${product.handle} started...`)
-    const metafields = await (await this._getMetafields('product', product.id)).filter(m => m.namespace.indexOf('app--') !== 0)
-    this.info(`[PRODUCT ${product.id}] has ${metafields.length} metafields...`)
-    product.metafields = metafields.filter(v => v && v.value && v.value.indexOf && v.value.indexOf('gid://shopify/') === -1).filter(v => v.namespace.indexOf('app--') !== 0);
-    const images = (product.images || []).map(v => v)
-    delete product.images;
+    product.metafields = await this._productMetafields(product);
+    // Media are copied from the source product once it exists, see `_syncProductMedia`
+    delete product.images
+    delete product.image;
     (product.variants || []).forEach((variant, i) => {
       if (variant.compare_at_price && (variant.compare_at_price * 1) <= (variant.price * 1)) {
         delete product.variants[i].compare_at_price
@@ -444,412 +928,3498 @@ class Migrator {
     }
     const newProduct = await this.destination.product.create(product)
     this.info(`[PRODUCT ${product.id}] duplicated. New id is ${newProduct.id}.`)
-    this.info(`[PRODUCT ${product.id}] Creating ${images && images.length || 0} images...`)
-    if (images && images.length) {
-      const newImages = images.map((image) => {
-        image.product_id = newProduct.id
-        image.variant_ids = image.variant_ids.map((oldId) => {
-          const oldVariant = product.variants.find(v => v.id === oldId)
-          const newVariant = newProduct.variants.find(v => v.title === oldVariant.title)
-          return newVariant.id
-        })
-        return image
+    this.ledger.record('product', product.id, newProduct.id, product.handle);
+    (product.variants || []).forEach((variant) => {
+      const newVariant = newProduct.variants.find(v => variantOptions(v) === variantOptions(variant))
+      if (newVariant) {
+        this.ledger.record('variant', variant.id, newVariant.id, variant.sku || variant.title)
+      }
+    })
+    await this._syncProductMedia(product.id, newProduct.id, `PRODUCT ${product.id}`)
+    await this._publish('Product', product.id, newProduct.id, `PRODUCT ${product.id}`)
+  }
+
+  /**
+   * Publishes a destination product or collection to the sales channels its source is published to, matched by name,
+   * or to the `--publish-to` channels. Channels missing from the destination store are reported once.
+   * Nothing is unpublished, and a failure only warns since the resource itself was copied.
+   */
+  async _publish(type, sourceId, destinationId, label) {
+    try {
+      const names = this.publishTo || await this._queryResourcePublications(this.source, `gid://shopify/${type}/${sourceId}`)
+      this.destinationPublications = this.destinationPublications || this._queryPublications(this.destination)
+      const publications = await this.destinationPublications
+      names.filter(name => !publications[name] && !this.missingPublications.has(name)).forEach((name) => {
+        this.missingPublications.add(name)
+        this.warn(`[${label}] The ${name} sales channel is not on the destination store, nothing will be published to it`)
       })
-      await this.asyncForEach(newImages, async (image) => {
-        try {
-          await this.destination.productImage.create(newProduct.id, image)
-        } catch (e) {
-          this.warn(e.message, 'Retrying.')
-          await this.destination.productImage.create(newProduct.id, image)
+      const input = names.filter(name => publications[name]).map(name => ({ publicationId: publications[name] }))
+      if (!input.length) {
+        return
+      }
+      const mutation = `
+        mutation publishablePublish($id: ID!, $input: [PublicationInput!]!) {
+          publishablePublish(id: $id, input: $input) {
+            userErrors {
+              field
+              message
+            }
+          }
         }
-      })
+      `
+      const response = await this.destination.graphql(mutation, { id: `gid://shopify/${type}/${destinationId}`, input })
+      if (response.errors) {
+        throw new Error(JSON.stringify(response.errors))
+      }
+      if (response.data.publishablePublish.userErrors.length > 0) {
+        throw new Error(response.data.publishablePublish.userErrors[0].message)
+      }
+      this.info(`[${label}] Published to ${names.filter(name => publications[name]).join(', ')}`)
+    } catch (e) {
+      this.warn(`[${label}] Could not publish: ${e.message}`)
     }
   }
 
-  async _migrateArticle(blogId, article) {
-    this.info(`[ARTICLE ${article.id}] ${article.handle} started...`)
-    const metafields = await this._getMetafields('article', article.id)
-    this.info(`[ARTICLE ${article.id}] has ${metafields.length} metafields...`)
-    delete article.user_id
-    delete article.created_at
-    delete article.deleted_at
-    article.published_at = article.created_at
-    article.blog_id = blogId
-    const newArticle = await this.destination.article.create(blogId, article)
-    this.info(`[ARTICLE ${article.id}] duplicated. New id is ${newArticle.id}.`)
-    await this.asyncForEach(metafields, async (metafield) => {
-      delete metafield.id
-      metafield.owner_resource = 'article'
-      metafield.owner_id = newArticle.id
-      this.info(`[ARTICLE ${article.id}] Metafield ${metafield.namespace}.${metafield.key} started`)
-      await this.destination.metafield.create(metafield)
-      this.info(`[ARTICLE ${article.id}] Metafield ${metafield.namespace}.${metafield.key} done!`)
+  // Sales channel name => publication id
+  async _queryPublications(client) {
+    const response = await client.graphql(`query { publications(first: 250) { edges { node { id name } } } }`)
+    if (response.errors) {
+      throw new Error(JSON.stringify(response.errors))
+    }
+    const publications = {}
+    response.data.publications.edges.forEach(({ node }) => {
+      publications[node.name] = node.id
     })
+    return publications
   }
 
-  async migratePages(deleteFirst = false, skipExisting = true) {
-    this.log('Page migration started...')
-    let params = { limit: 250 }
-    const destinationPages = {}
-    do {
-      const pages = await this.destination.page.list(params)
-      await this.asyncForEach(pages, async (page) => {
-        destinationPages[page.handle] = page.id
-      })
-      params = pages.nextPageParameters;
-    } while (params !== undefined);
-    params = { limit: 250 }
-    do {
-      const pages = await this.source.page.list(params)
-      await this.asyncForEach(pages, async (page) => {
-        this.saveData && fs.writeFileSync(`data/pages/${page.id}.json`, JSON.stringify(page));
-
-        if (destinationPages[page.handle] && deleteFirst) {
-          this.log(`[DUPLICATE PAGE] Deleting destination page ${page.handle}`)
-          await this.destination.page.delete(destinationPages[page.handle])
+  // Names of the sales channels a product or collection is published to
+  async _queryResourcePublications(client, id) {
+    const root = id.indexOf('/Product/') !== -1 ? 'product' : 'collection'
+    const response = await client.graphql(`
+      query ($id: ID!) {
+        ${root}(id: $id) {
+          resourcePublications(first: 250) {
+            edges {
+              node {
+                publication {
+                  name
+                }
+              }
+            }
+          }
         }
-        if (destinationPages[page.handle] && skipExisting && !deleteFirst) {
-          this.log(`[EXISTING PAGE] Skipping ${page.handle}`)
-          return
+      }
+    `, { id })
+    if (response.errors || !response.data || !response.data[root]) {
+      throw new Error(`Could not read the sales channels of ${id}: ${JSON.stringify(response.errors)}`)
+    }
+    return response.data[root].resourcePublications.edges.map(edge => edge.node.publication.name)
+  }
+
+  // Source metafields of a product, remapped for the destination store
+  async _productMetafields(product) {
+    const metafields = (await this._getMetafields('product', product.id)).filter(m => m.namespace.indexOf('app--') !== 0)
+    this.info(`[PRODUCT ${product.id}] has ${metafields.length} metafields...`)
+    const remapped = []
+    await this.asyncForEach(metafields.filter(v => v && v.value), async (metafield) => {
+      const destinationMetafield = await this._remapMetafield(metafield, `PRODUCT ${product.id}`)
+      destinationMetafield && remapped.push(destinationMetafield)
+    })
+    return remapped
+  }
+
+  /**
+   * GraphQL counterpart of `_migrateProduct` and `_updateProduct`, used with `--graphql-products`: a single `productSet`
+   * writes the product with its options, variants, SEO, category and metafields, past the 100 variants of the REST endpoints.
+   * When updating, destination variants matched by SKU, then by option values, keep their id and `productSet` deletes the others.
+   */
+  async _setProduct(product, destinationId = null) {
+    const label = `PRODUCT ${product.id}`
+    if (destinationId) {
+      this.info(`[${label}] ${product.handle} updating ${destinationId}...`)
+    } else {
+      this.migrating.add(`gid://shopify/Product/${product.id}`)
+      this.info(`[${label}] ${product.handle} started...`)
+    }
+    const metafields = await this._productMetafields(product)
+    const { seo, category } = await this._queryProductSeo(this.source, product.id)
+    const destinationVariants = destinationId ? await this._queryProductVariants(this.destination, destinationId) : []
+    const variants = product.variants || []
+    // Option values come from the variants, which holds when hooks changed them
+    const options = (product.options || []).map((option, i) => ({
+      name: option.name,
+      values: variants.map(variant => variant[`option${i + 1}`]).filter((value, index, values) => value && values.indexOf(value) === index)
+    })).filter(option => option.values.length)
+    const matched = this._matchVariants(variants, destinationVariants)
+    const input = {
+      id: destinationId ? `gid://shopify/Product/${destinationId}` : undefined,
+      title: product.title,
+      handle: product.handle,
+      descriptionHtml: product.body_html || '',
+      vendor: product.vendor,
+      productType: product.product_type,
+      tags: (product.tags || '').split(',').map(tag => tag.trim()).filter(tag => tag),
+      status: (product.status || 'active').toUpperCase(),
+      templateSuffix: product.template_suffix || null,
+      seo,
+      category: category ? category.id : undefined,
+      productOptions: options.map((option, i) => ({ name: option.name, position: i + 1, values: option.values.map(name => ({ name })) })),
+      variants: variants.map(variant => ({
+        id: matched[variant.id] ? `gid://shopify/ProductVariant/${matched[variant.id]}` : undefined,
+        optionValues: options.map((option, i) => ({ optionName: option.name, name: variant[`option${i + 1}`] })).filter(value => value.name),
+        price: variant.price,
+        compareAtPrice: variant.compare_at_price && (variant.compare_at_price * 1) > (variant.price * 1) ? variant.compare_at_price : null,
+        barcode: variant.barcode || null,
+        taxable: variant.taxable !== false,
+        inventoryPolicy: (variant.inventory_policy || 'deny').toUpperCase(),
+        position: variant.position,
+        inventoryItem: {
+          sku: variant.sku || null,
+          tracked: !!variant.inventory_management,
+          requiresShipping: variant.requires_shipping !== false,
+          measurement: WEIGHT_UNITS[variant.weight_unit] ? { weight: { value: variant.weight * 1, unit: WEIGHT_UNITS[variant.weight_unit] } } : undefined
         }
-        await this._migratePage(page)
-      })
-      params = pages.nextPageParameters;
-    } while (params !== undefined);
-    this.log('Page migration finished!')
+      })),
+      metafields: metafields.map(({ namespace, key, type, value }) => ({ namespace, key, type, value }))
+    }
+    const mutation = `
+      mutation productSet($input: ProductSetInput!, $synchronous: Boolean!) {
+        productSet(input: $input, synchronous: $synchronous) {
+          product {
+            id
+          }
+          productSetOperation {
+            id
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `
+    // Large products are written in the background, see `_waitForProductSet`
+    const synchronous = variants.length <= REST_VARIANT_LIMIT
+    const response = await this.destination.graphql(mutation, { input, synchronous })
+    if (response.errors) {
+      throw new Error(JSON.stringify(response.errors))
+    }
+    if (response.data.productSet.userErrors.length > 0) {
+      throw new Error(`[${label}] productSet failed: ${response.data.productSet.userErrors[0].message}`)
+    }
+    const productId = synchronous
+      ? response.data.productSet.product.id
+      : await this._waitForProductSet(response.data.productSet.productSetOperation.id, label)
+    const newId = productId.split('/').pop() * 1
+    this.info(`[${label}] ${destinationId ? 'updated' : `duplicated. New id is ${newId}`}.`)
+    this.ledger.record('product', product.id, newId, product.handle, destinationId ? 'updated' : 'created')
+    const newVariants = this._matchVariants(variants, await this._queryProductVariants(this.destination, newId))
+    variants.forEach((variant) => {
+      if (newVariants[variant.id]) {
+        this.ledger.record('variant', variant.id, newVariants[variant.id], variant.sku || variant.title)
+      }
+    })
+    await this._syncProductMedia(product.id, newId, label)
+    await this._publish('Product', product.id, newId, label)
   }
 
-  async migrateProducts(deleteFirst = false, skipExisting = true) {
-    this.log('Product migration started...')
-    let params = { limit: 250 }
-    const destinationProducts = {}
-    do {
-      const products = await this.destination.product.list(params)
-      await this.asyncForEach(products, async (product) => {
-        destinationProducts[product.handle] = product.id
-      })
-      params = products.nextPageParameters;
-    } while (params !== undefined);
-    params = { limit: 250 }
+  // Source variant id => destination variant id, variants being matched by SKU, then by option values
+  _matchVariants(variants, destinationVariants) {
+    const matched = {}
+    const matchedIds = []
+    variants.forEach((variant) => {
+      const existing = destinationVariants.find(v => variant.sku && v.sku === variant.sku && matchedIds.indexOf(v.id) === -1) ||
+        destinationVariants.find(v => variantOptions(v) === variantOptions(variant) && matchedIds.indexOf(v.id) === -1)
+      if (existing) {
+        matched[variant.id] = existing.id
+        matchedIds.push(existing.id)
+      }
+    })
+    return matched
+  }
+
+  async _waitForProductSet(operationId, label) {
+    const query = `
+      query ($id: ID!) {
+        productOperation(id: $id) {
+          status
+          product {
+            id
+          }
+          ... on ProductSetOperation {
+            userErrors {
+              field
+              message
+            }
+          }
+        }
+      }
+    `
+    for (let attempt = 0; attempt < 60; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 2000))
+      const response = await this.destination.graphql(query, { id: operationId })
+      if (response.errors) {
+        throw new Error(JSON.stringify(response.errors))
+      }
+      const operation = response.data.productOperation
+      if (operation.status === 'COMPLETE') {
+        if (operation.userErrors && operation.userErrors.length > 0) {
+          throw new Error(`[${label}] productSet failed: ${operation.userErrors[0].message}`)
+        }
+        return operation.product.id
+      }
+    }
+    throw new Error(`[${label}] productSet is still running on the destination store`)
+  }
+
+  // SEO and category of a product, which the REST endpoints leave out
+  async _queryProductSeo(client, productId) {
+    const response = await client.graphql(`query ($id: ID!) { product(id: $id) { seo { title description } category { id } } }`, {
+      id: `gid://shopify/Product/${productId}`
+    })
+    if (response.errors || !response.data || !response.data.product) {
+      throw new Error(`Could not read the SEO of product ${productId}: ${JSON.stringify(response.errors)}`)
+    }
+    return response.data.product
+  }
+
+  // Every variant of a product in the REST shape, including the ones past the REST limit
+  async _queryProductVariants(client, productId) {
+    const query = `
+      query ($id: ID!, $after: String) {
+        product(id: $id) {
+          variants(first: 250, after: $after) {
+            edges {
+              node {
+                ${VARIANT_FIELDS}
+              }
+            }
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+          }
+        }
+      }
+    `
+    const variants = []
+    let after = null
     do {
-      const products = await this.source.product.list(params)
-      await this.asyncForEach(products, async (product) => {
-        if (destinationProducts[product.handle] && deleteFirst) {
-          this.log(`[DUPLICATE PRODUCT] Deleting destination product ${product.handle}`)
-          await this.destination.product.delete(destinationProducts[product.handle])
+      const response = await client.graphql(query, { id: `gid://shopify/Product/${productId}`, after })
+      if (response.errors || !response.data || !response.data.product) {
+        throw new Error(`Could not read the variants of product ${productId}: ${JSON.stringify(response.errors)}`)
+      }
+      const page = response.data.product.variants
+      page.edges.forEach(edge => variants.push(restVariant(edge.node)))
+      after = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null
+    } while (after)
+    return variants
+  }
+
+  /**
+   * Brings the media of a destination product in line with the source product: images, videos, external videos
+   * and 3D models with their alt text and position, and the media of each variant, variants being matched by option values.
+   * Destination media are matched by file name (by URL for external videos), missing ones are created and the others deleted.
+   * A failure only warns, since the product itself was written: a run with `--update` copies the media again.
+   */
+  async _syncProductMedia(sourceId, destinationId, label) {
+    try {
+      const productId = `gid://shopify/Product/${destinationId}`
+      const source = await this._queryProductMedia(this.source, sourceId)
+      const destination = await this._queryProductMedia(this.destination, destinationId)
+      const mediaIds = {}
+      const kept = new Set()
+      const missing = []
+      const altChanges = []
+      source.media.forEach((media) => {
+        const existing = destination.media.find(m => !kept.has(m.id) && mediaKey(m) === mediaKey(media))
+        if (!existing) {
+          return missing.push(media)
         }
-        if (destinationProducts[product.handle] && skipExisting && !deleteFirst) {
-          this.log(`[EXISTING PRODUCT] Skipping ${product.handle}`)
-          return
+        kept.add(existing.id)
+        mediaIds[media.id] = existing.id
+        if ((existing.alt || '') !== (media.alt || '')) {
+          altChanges.push({ id: existing.id, alt: media.alt || '' })
         }
+      })
+      const removed = destination.media.filter(m => !kept.has(m.id))
+      if (removed.length) {
+        this.info(`[${label}] Removing ${removed.length} media...`)
+        await this._mediaMutation('productDeleteMedia', { productId, mediaIds: removed.map(m => m.id) })
+      }
+      if (altChanges.length) {
+        await this._mediaMutation('productUpdateMedia', { productId, media: altChanges })
+      }
+      this.info(`[${label}] Creating ${missing.length} media...`)
+      // One at a time, so that media keep their order and one failing doesn't take the others down
+      for (const media of missing) {
         try {
-          this.saveData && fs.writeFileSync(`data/products/${product.id}.json`, JSON.stringify(product));
-          await this._migrateProduct(product)
+          const input = await this._mediaInput(media)
+          const result = await this._mediaMutation('productCreateMedia', { productId, media: [input] })
+          mediaIds[media.id] = result.media[0].id
         } catch (e) {
-          this.error(`[PRODUCT] ${product.handle} FAILED TO BE CREATED PROPERLY.`,e, e.response, product.metafields)
+          this.warn(`[${label}] ${mediaKey(media)} could not be created, skipping it. ${e.message}`)
         }
-      }, 15)
-      params = products.nextPageParameters;
-    } while (params !== undefined);
-    this.log('Product migration finished!')
+      }
+      // Created media go last, kept ones may need to move around them
+      const order = source.media.map(media => mediaIds[media.id]).filter(id => id)
+      const current = destination.media.filter(m => kept.has(m.id)).map(m => m.id).concat(order.filter(id => !kept.has(id)))
+      if (kept.size && order.join() !== current.join()) {
+        await this._mediaMutation('productReorderMedia', { id: productId, moves: order.map((id, position) => ({ id, newPosition: `${position}` })) })
+      }
+      await this._syncVariantMedia(source, destination, mediaIds, productId, label)
+    } catch (e) {
+      this.warn(`[${label}] Could not copy the media, run again with --update to copy them: ${e.message}`)
+    }
   }
-  async migrateMetafields(deleteFirst = false, skipExisting = true) {
-    this.log('Shop Metafields migration started...')
-    const sourceMetafields = []
-    const destinationMetafields = []
-    let params = { limit: 250 }
-    do {
-      const metafields = await this.source.metafield.list(params)
-      metafields.forEach(m => sourceMetafields.push(m))
-      params = metafields.nextPageParameters;
-    } while (params !== undefined);
 
-    params = { limit: 250 }
-    do {
-      const metafields = await this.destination.metafield.list(params)
-      metafields.forEach(m => destinationMetafields.push(m))
-      params = metafields.nextPageParameters;
-    } while (params !== undefined);
-    await this.asyncForEach(sourceMetafields, async (metafield) => {
-      this.saveData && fs.writeFileSync(`data/metafields/${metafield.id}.json`, JSON.stringify(metafield));
-      const destinationMetafield = destinationMetafields.find(f => f.key === metafield.key && f.namespace === metafield.namespace)
-      if (destinationMetafield && deleteFirst) {
-        this.log(`[DUPLICATE METAFIELD] Deleting destination metafield ${metafield.namespace}.${metafield.key}`)
-        await this.destination.metafield.delete(destinationMetafield.id)
+  async _syncVariantMedia(source, destination, mediaIds, productId, label) {
+    const detach = []
+    const append = []
+    source.variants.filter(variant => variant.mediaId).forEach((variant) => {
+      const target = destination.variants.find(v => v.options === variant.options)
+      if (!target) {
+        return this.warn(`[${label}] No destination variant has the options ${variant.options}, its media is not attached`)
       }
-      if (destinationMetafield && skipExisting && !deleteFirst) {
-        this.log(`[EXISTING METAFIELD] Skipping ${metafield.namespace}.${metafield.key}`)
+      if (!mediaIds[variant.mediaId]) {
+        return this.warn(`[${label}] The media of variant ${variant.options} is not on the destination product, it is not attached`)
+      }
+      if (target.mediaId === mediaIds[variant.mediaId]) {
         return
       }
-      try {
-        delete metafield.owner_id
-        delete metafield.owner_resource
-        await this.destination.metafield.create(metafield)
-      } catch (e) {
-        this.error(`[METAFIELD] ${metafield.namespace}.${metafield.key} FAILED TO BE CREATED PROPERLY.`)
+      if (target.mediaId && Object.values(mediaIds).indexOf(target.mediaId) !== -1) {
+        detach.push({ variantId: target.id, mediaIds: [target.mediaId] })
       }
+      append.push({ variantId: target.id, mediaIds: [mediaIds[variant.mediaId]] })
     })
-    this.log('Shop Metafields migration finished!')
+    if (!append.length) {
+      return
+    }
+    // Variants can only be given media Shopify is done processing
+    await this._waitForMedia(productId, append.map(link => link.mediaIds[0]))
+    if (detach.length) {
+      await this._mediaMutation('productVariantDetachMedia', { productId, variantMedia: detach })
+    }
+    await this._mediaMutation('productVariantAppendMedia', { productId, variantMedia: append })
+    this.info(`[${label}] Attached media to ${append.length} variants.`)
   }
 
-  async migrateSmartCollections(deleteFirst = false, skipExisting = true) {
-    this.log('Smart Collections migration started...')
-    let params = { limit: 250 }
-    const destinationCollections = {}
-    do {
-      const collections = await this.destination.smartCollection.list(params)
-      await this.asyncForEach(collections, async (collection) => {
-        destinationCollections[collection.handle] = collection.id
-      })
-      params = collections.nextPageParameters;
-    } while (params !== undefined);
-    params = { limit: 250 }
-    do {
-      const collections = await this.source.smartCollection.list(params)
-      await this.asyncForEach(collections, async (collection) => {
-        this.saveData && fs.writeFileSync(`data/collections/${collection.id}.json`, JSON.stringify(collection));
-        if (destinationCollections[collection.handle] && deleteFirst) {
-          this.log(`[DUPLICATE COLLECTION] Deleting destination collection ${collection.handle}`)
-          await this.destination.smartCollection.delete(destinationCollections[collection.handle])
+  // Media of a product and the first media of each of its variants, all the variants being read page by page
+  async _queryProductMedia(client, productId) {
+    const query = `
+      query ($id: ID!, $after: String) {
+        product(id: $id) {
+          media(first: 250) {
+            edges {
+              node {
+                ${MEDIA_FIELDS}
+              }
+            }
+          }
+          variants(first: 250, after: $after) {
+            edges {
+              node {
+                id
+                selectedOptions {
+                  value
+                }
+                media(first: 1) {
+                  edges {
+                    node {
+                      id
+                    }
+                  }
+                }
+              }
+            }
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+          }
         }
-        if (destinationCollections[collection.handle] && skipExisting && !deleteFirst) {
-          this.log(`[EXISTING COLLECTION] Skipping ${collection.handle}`)
-          return
+      }
+    `
+    let media = null
+    const variants = []
+    let after = null
+    do {
+      const response = await client.graphql(query, { id: `gid://shopify/Product/${productId}`, after })
+      if (response.errors || !response.data || !response.data.product) {
+        throw new Error(`Could not read the media of product ${productId}: ${JSON.stringify(response.errors)}`)
+      }
+      const { product } = response.data
+      media = media || product.media.edges.map(edge => edge.node)
+      product.variants.edges.forEach(({ node }) => variants.push({
+        id: node.id,
+        options: node.selectedOptions.map(option => option.value).join(' / '),
+        mediaId: node.media.edges.length ? node.media.edges[0].node.id : null
+      }))
+      after = product.variants.pageInfo.hasNextPage ? product.variants.pageInfo.endCursor : null
+    } while (after)
+    return { media, variants }
+  }
+
+  async _mediaInput(media) {
+    const input = { mediaContentType: media.mediaContentType, alt: media.alt }
+    if (media.mediaContentType === 'IMAGE') {
+      return { ...input, originalSource: media.image.url }
+    }
+    if (media.mediaContentType === 'EXTERNAL_VIDEO') {
+      return { ...input, originalSource: media.originUrl }
+    }
+    // Videos and 3D models can't be created from a URL, they have to be uploaded to Shopify first
+    return { ...input, originalSource: await this._stageMedia(media) }
+  }
+
+  async _stageMedia(media) {
+    const { url, mimeType } = media.originalSource
+    const filename = media.filename || url.split('?')[0].split('/').pop()
+    const download = await fetch(url)
+    if (!download.ok) {
+      throw new Error(`Could not download ${url}: ${download.status}`)
+    }
+    const file = await download.buffer()
+    const mutation = `
+      mutation stagedUploadsCreate($input: [StagedUploadInput!]!) {
+        stagedUploadsCreate(input: $input) {
+          stagedTargets {
+            url
+            resourceUrl
+            parameters {
+              name
+              value
+            }
+          }
+          userErrors {
+            field
+            message
+          }
         }
-        try {
-          await this._migrateSmartCollection(collection)
-        } catch (e) {
-          this.error(`[COLLECTION] ${collection.handle} FAILED TO BE CREATED PROPERLY.`)
+      }
+    `
+    const response = await this.destination.graphql(mutation, {
+      input: [{ resource: media.mediaContentType, filename, mimeType, fileSize: `${file.length}`, httpMethod: 'POST' }]
+    })
+    if (response.errors) {
+      throw new Error(JSON.stringify(response.errors))
+    }
+    if (response.data.stagedUploadsCreate.userErrors.length > 0) {
+      throw new Error(response.data.stagedUploadsCreate.userErrors[0].message)
+    }
+    const target = response.data.stagedUploadsCreate.stagedTargets[0]
+    const { body, contentType } = multipart(target.parameters, filename, mimeType, file)
+    const upload = await fetch(target.url, { method: 'POST', headers: { 'Content-Type': contentType }, body })
+    if (!upload.ok) {
+      throw new Error(`Could not upload ${filename}: ${upload.status}`)
+    }
+    return target.resourceUrl
+  }
+
+  async _mediaMutation(name, variables) {
+    const { variables: signature, args, fields, errors } = MEDIA_MUTATIONS[name]
+    const response = await this.destination.graphql(`
+      mutation ${name}(${signature}) {
+        result: ${name}(${args}) {
+          ${fields}
+          ${errors} {
+            field
+            message
+          }
         }
-      })
-      params = collections.nextPageParameters;
-    } while (params !== undefined);
-    this.log('Smart Collection migration finished!')
+      }
+    `, variables)
+    if (response.errors) {
+      throw new Error(JSON.stringify(response.errors))
+    }
+    if (response.data.result[errors].length > 0) {
+      throw new Error(`${name} failed: ${response.data.result[errors][0].message}`)
+    }
+    return response.data.result
   }
 
-  async migrateCustomCollections(deleteFirst = false, skipExisting = true) {
-    this.log('Custom Collections migration started...')
-    let params = { limit: 250 }
-    const destinationCollections = {}
-    const productMap = {}
-    const sourceProducts = []
-    const destinationProducts = []
+  async _waitForMedia(productId, mediaIds) {
+    for (let attempt = 0; attempt < 60; attempt++) {
+      const response = await this.destination.graphql(`query ($id: ID!) { product(id: $id) { media(first: 250) { edges { node { id status } } } } }`, { id: productId })
+      const media = response.data && response.data.product ? response.data.product.media.edges.map(edge => edge.node) : []
+      if (!media.some(m => mediaIds.indexOf(m.id) !== -1 && (m.status === 'UPLOADED' || m.status === 'PROCESSING'))) {
+        return
+      }
+      await new Promise(resolve => setTimeout(resolve, 2000))
+    }
+    throw new Error(`Media of product ${productId} are still processing on the destination store`)
+  }
+
+  async _migrateArticle(blogId, article) {
+    this.info(`[ARTICLE ${article.id}] ${article.handle} started...`)
+    const metafields = await this._getMetafields('article', article.id)
+    this.info(`[ARTICLE ${article.id}] has ${metafields.length} metafields...`)
+    delete article.user_id
+    delete article.created_at
+    delete article.deleted_at
+    article.published_at = article.created_at
+    article.blog_id = blogId
+    const newArticle = await this.destination.article.create(blogId, article)
+    this.info(`[ARTICLE ${article.id}] duplicated. New id is ${newArticle.id}.`)
+    this.ledger.record('article', article.id, newArticle.id, article.handle)
+    await this.asyncForEach(metafields, async (metafield) => {
+      const sourceId = metafield.id
+      delete metafield.id
+      metafield.owner_resource = 'article'
+      metafield.owner_id = newArticle.id
+      this.info(`[ARTICLE ${article.id}] Metafield ${metafield.namespace}.${metafield.key} started`)
+      const remapped = await this._remapMetafield(metafield, `ARTICLE ${article.id}`)
+      if (!remapped) {
+        return
+      }
+      const newMetafield = await this.destination.metafield.create(remapped)
+      this.ledger.record('metafield', sourceId, newMetafield.id, `${metafield.namespace}.${metafield.key}`)
+      this.info(`[ARTICLE ${article.id}] Metafield ${metafield.namespace}.${metafield.key} done!`)
+    })
+  }
+
+  /**
+   * Prepares a source metafield for the destination store: references are remapped (see `_remapReferences`)
+   * and the `transformMetafield` hook is applied. Returns `null` when the metafield should not be copied.
+   */
+  async _remapMetafield(metafield, label) {
+    const remapped = await this._remapReferences(metafield, label)
+    return remapped && this._applyHooks('metafield', remapped, { owner: label })
+  }
+
+  /**
+   * Rewrites the value of a reference metafield or metaobject field (`product_reference`, `list.page_reference`, ...)
+   * so that it points at the matching destination resources.
+   * Returns `null` when nothing could be resolved.
+   */
+  async _remapReferences(metafield, label) {
+    const type = (metafield.type || '').replace(/^list\./, '')
+    if (REFERENCE_TYPES.indexOf(type) === -1) {
+      return metafield
+    }
+    const isList = metafield.type.indexOf('list.') === 0
+    const sourceIds = isList ? JSON.parse(metafield.value) : [metafield.value]
+    const destinationIds = []
+    await this.asyncForEach(sourceIds, async (sourceId) => {
+      const destinationId = await this._resolveReference(sourceId)
+      if (destinationId) {
+        destinationIds.push(destinationId)
+      } else {
+        this.warn(`[${label}] Metafield ${metafield.namespace}.${metafield.key}: could not resolve ${sourceId} on the destination store, dropping it`)
+      }
+    })
+    if (!destinationIds.length) {
+      return null
+    }
+    return { ...metafield, value: isList ? JSON.stringify(destinationIds) : destinationIds[0] }
+  }
+
+  /**
+   * Runs a source resource through the user hooks (see `hooks.js`).
+   * Returns the resource to send to the destination store, or `null` when a hook skipped it.
+   */
+  async _applyHooks(type, resource, context = {}) {
+    const result = await this.hooks.apply(type, resource, {
+      type,
+      dryRun: this.dryRun,
+      ledger: this.ledger,
+      log: (...args) => this.log(...args),
+      ...context
+    })
+    if (!result) {
+      this.info(`[HOOKS] Skipping ${type} ${resource.handle || resource.path || (resource.namespace && `${resource.namespace}.${resource.key}`) || resource.id}`)
+    }
+    return result
+  }
+
+  /**
+   * Finds the destination GID matching a source GID: through the ledger first, then by handle, SKU or
+   * file name on the destination store. Missing products, pages, collections, files and metaobjects are created.
+   */
+  _resolveReference(gid) {
+    const [, kind, id] = gid.match(/^gid:\/\/shopify\/(\w+)\/(\d+)/) || []
+    // A resource created through a reference can refer back to itself through others (A -> B -> A),
+    // and its pending promise would then wait on the very resolution asking for it
+    if (this.references[gid] && this.migrating.has(gid)) {
+      const ledgerId = this._ledgerReference(kind, id, gid)
+      if (ledgerId) {
+        return Promise.resolve(ledgerId)
+      }
+      this.warn(`[REFERENCE ${gid}] is part of a circular reference and is still being created`)
+      return Promise.resolve(null)
+    }
+    if (!this.references[gid]) {
+      const resolvers = {
+        Product: () => this._resolveProductReference(id),
+        ProductVariant: () => this._resolveVariantReference(id),
+        Collection: () => this._resolveCollectionReference(gid, id),
+        Page: () => this._resolvePageReference(id),
+        MediaImage: () => this._resolveFileReference(gid),
+        GenericFile: () => this._resolveFileReference(gid),
+        Video: () => this._resolveFileReference(gid),
+        Metaobject: () => this._resolveMetaobjectReference(gid)
+      }
+      this.references[gid] = resolvers[kind]
+        ? resolvers[kind]().catch((e) => {
+          this.warn(`[REFERENCE ${gid}] ${e.message}`)
+          return null
+        })
+        : Promise.resolve(null)
+    }
+    return this.references[gid]
+  }
+
+  // Resources created earlier in the run, through a reference, are skipped when their own migration reaches them
+  _createdThisRun(type, sourceId) {
+    const entry = this.ledger.get(type, sourceId)
+    return !!entry && entry.runId === this.runId && entry.action === 'created'
+  }
+
+  // Destination GID of a reference the ledger already holds
+  _ledgerReference(kind, id, gid) {
+    const types = { Product: ['product'], Page: ['page'], Collection: ['smart_collection', 'custom_collection'] }
+    if (types[kind]) {
+      const destinationId = types[kind].map(type => this.ledger.destinationId(type, id)).find(value => value)
+      return destinationId ? `gid://shopify/${kind}/${destinationId}` : null
+    }
+    // Files and metaobjects are recorded by GID
+    return this.ledger.destinationId(kind === 'Metaobject' ? 'metaobject' : 'file', gid)
+  }
+
+  /**
+   * Checks that the destination resource of a ledger entry still exists: it may have been deleted since,
+   * or the entry may have been written for another store sharing the ledger file.
+   */
+  async _onDestination(gid) {
+    const [, kind, id] = gid.match(/^gid:\/\/shopify\/(\w+)\/(\d+)/) || []
+    const resources = { Product: this.destination.product, ProductVariant: this.destination.productVariant, Page: this.destination.page }
+    let exists
+    if (resources[kind]) {
+      try {
+        exists = !!await resources[kind].get(id, { fields: 'id' })
+      } catch (e) {
+        const status = e.statusCode || (e.response && e.response.statusCode)
+        if (status !== 404) {
+          throw e
+        }
+        exists = false
+      }
+    } else {
+      const root = kind === 'Collection' ? 'collection' : 'node'
+      const response = await this.destination.graphql(`query ($id: ID!) { ${root}(id: $id) { id } }`, { id: gid })
+      if (response.errors) {
+        throw new Error(JSON.stringify(response.errors))
+      }
+      exists = !!(response.data && response.data[root])
+    }
+    if (!exists) {
+      this.warn(`[LEDGER] ${gid} is no longer on the destination store, looking for another match`)
+    }
+    return exists
+  }
+
+  // Resources being created right now can't be created again when something refers to them
+  _canCreateReference(gid) {
+    if (this.migrating.has(gid)) {
+      this.warn(`[REFERENCE ${gid}] is part of a circular reference and is still being created`)
+      return false
+    }
+    return !this.dryRun
+  }
+
+  async _resolveProductReference(id) {
+    const gid = `gid://shopify/Product/${id}`
+    const ledgerId = this.ledger.destinationId('product', id)
+    if (ledgerId && await this._onDestination(`gid://shopify/Product/${ledgerId}`)) {
+      return `gid://shopify/Product/${ledgerId}`
+    }
+    const product = await this.source.product.get(id)
+    const existing = await this.destination.product.list({ handle: product.handle, fields: 'id' })
+    if (existing.length) {
+      return `gid://shopify/Product/${existing[0].id}`
+    }
+    if (!this._canCreateReference(gid)) {
+      return null
+    }
+    const prepared = await this._applyHooks('product', product)
+    if (!prepared) {
+      return null
+    }
+    this.info(`[REFERENCE ${gid}] ${product.handle} is missing on the destination store, creating it`)
+    await (this.graphqlProducts ? this._setProduct(prepared) : this._migrateProduct(prepared))
+    return `gid://shopify/Product/${this.ledger.destinationId('product', id)}`
+  }
+
+  async _resolveVariantReference(id) {
+    const ledgerId = this.ledger.destinationId('variant', id)
+    if (ledgerId && await this._onDestination(`gid://shopify/ProductVariant/${ledgerId}`)) {
+      return `gid://shopify/ProductVariant/${ledgerId}`
+    }
+    const variant = await this.source.productVariant.get(id)
+    const productId = await this._resolveReference(`gid://shopify/Product/${variant.product_id}`)
+    if (!productId) {
+      return null
+    }
+    const product = await this.destination.product.get(productId.split('/').pop())
+    const match = product.variants.find(v => variant.sku && v.sku === variant.sku) ||
+      product.variants.find(v => variantOptions(v) === variantOptions(variant))
+    if (!match) {
+      this.warn(`[REFERENCE gid://shopify/ProductVariant/${id}] ${variant.sku || variantOptions(variant)} has no matching variant on ${productId}`)
+      return null
+    }
+    return `gid://shopify/ProductVariant/${match.id}`
+  }
+
+  async _resolveCollectionReference(gid, id) {
+    const ledgerId = this.ledger.destinationId('smart_collection', id) || this.ledger.destinationId('custom_collection', id)
+    if (ledgerId && await this._onDestination(`gid://shopify/Collection/${ledgerId}`)) {
+      return `gid://shopify/Collection/${ledgerId}`
+    }
+    const query = `query ($id: ID!) { collection(id: $id) { handle ruleSet { appliedDisjunctively } } }`
+    const source = await this.source.graphql(query, { id: gid })
+    const collection = source.data && source.data.collection
+    if (!collection) {
+      return null
+    }
+    const destination = await this.destination.graphql(`query ($handle: String!) { collectionByHandle(handle: $handle) { id } }`, { handle: collection.handle })
+    if (destination.data && destination.data.collectionByHandle) {
+      return destination.data.collectionByHandle.id
+    }
+    if (!this._canCreateReference(gid)) {
+      return null
+    }
+    this.info(`[REFERENCE ${gid}] ${collection.handle} is missing on the destination store, creating it`)
+    if (collection.ruleSet) {
+      const smartCollection = await this._applyHooks('smartCollection', await this.source.smartCollection.get(id))
+      if (!smartCollection) {
+        return null
+      }
+      await this._migrateSmartCollection(smartCollection)
+      return `gid://shopify/Collection/${this.ledger.destinationId('smart_collection', id)}`
+    }
+    const productMap = {}
+    this.ledger.entries('product').forEach((entry) => {
+      productMap[entry.sourceId] = entry.destinationId
+    })
+    const customCollection = await this._applyHooks('customCollection', await this.source.customCollection.get(id))
+    if (!customCollection) {
+      return null
+    }
+    await this._migrateCustomCollection(customCollection, productMap)
+    return `gid://shopify/Collection/${this.ledger.destinationId('custom_collection', id)}`
+  }
+
+  async _resolvePageReference(id) {
+    const gid = `gid://shopify/Page/${id}`
+    const ledgerId = this.ledger.destinationId('page', id)
+    if (ledgerId && await this._onDestination(`gid://shopify/Page/${ledgerId}`)) {
+      return `gid://shopify/Page/${ledgerId}`
+    }
+    const page = await this.source.page.get(id)
+    const existing = await this.destination.page.list({ handle: page.handle, fields: 'id' })
+    if (existing.length) {
+      return `gid://shopify/Page/${existing[0].id}`
+    }
+    if (!this._canCreateReference(gid)) {
+      return null
+    }
+    const prepared = await this._applyHooks('page', page)
+    if (!prepared) {
+      return null
+    }
+    this.info(`[REFERENCE ${gid}] ${page.handle} is missing on the destination store, creating it`)
+    await this._migratePage(prepared)
+    return `gid://shopify/Page/${this.ledger.destinationId('page', id)}`
+  }
+
+  async _resolveFileReference(gid) {
+    const ledgerId = this.ledger.destinationId('file', gid)
+    if (ledgerId && await this._onDestination(ledgerId)) {
+      return ledgerId
+    }
+    const query = `
+      query ($id: ID!) {
+        node(id: $id) {
+          id
+          __typename
+          ... on MediaImage {
+            alt
+            image {
+              originalSrc
+            }
+          }
+          ... on GenericFile {
+            alt
+            url
+          }
+        }
+      }
+    `
+    const source = await this.source.graphql(query, { id: gid })
+    const file = source.data && source.data.node
+    const fileName = file && this._fileName(file)
+    if (!fileName) {
+      return null
+    }
+    const destination = await this.destination.graphql(`query ($query: String!) { files(first: 1, query: $query) { edges { node { id } } } }`, {
+      query: `filename:'${fileName}'`
+    })
+    const existing = destination.data && destination.data.files.edges[0]
+    if (existing) {
+      return existing.node.id
+    }
+    if (!this._canCreateReference(gid)) {
+      return null
+    }
+    const prepared = await this._applyHooks('file', file)
+    if (!prepared) {
+      return null
+    }
+    this.info(`[REFERENCE ${gid}] ${fileName} is missing on the destination store, creating it`)
+    await this._migrateFile(prepared)
+    return this.ledger.destinationId('file', gid)
+  }
+
+  async _resolveMetaobjectReference(gid) {
+    const ledgerId = this.ledger.destinationId('metaobject', gid)
+    if (ledgerId && await this._onDestination(ledgerId)) {
+      return ledgerId
+    }
+    const source = await this.source.graphql(`query ($id: ID!) { metaobject(id: $id) { handle type } }`, { id: gid })
+    const metaobject = source.data && source.data.metaobject
+    if (!metaobject) {
+      return null
+    }
+    const destination = await this.destination.graphql(`query ($handle: MetaobjectHandleInput!) { metaobjectByHandle(handle: $handle) { id } }`, {
+      handle: { type: metaobject.type, handle: metaobject.handle }
+    })
+    if (destination.data && destination.data.metaobjectByHandle) {
+      return destination.data.metaobjectByHandle.id
+    }
+    if (!this._canCreateReference(gid)) {
+      return null
+    }
+    this.info(`[REFERENCE ${gid}] ${metaobject.type}/${metaobject.handle} is missing on the destination store, creating it`)
+    const full = await this.source.graphql(`query ($id: ID!) { metaobject(id: $id) { ${METAOBJECT_FIELDS} } }`, { id: gid })
+    const pending = await this._migrateMetaobject(full.data.metaobject)
+    pending && await this._updateMetaobjectReferences(pending)
+    return this.ledger.destinationId('metaobject', gid)
+  }
+
+  _without(object, keys) {
+    const copy = { ...object }
+    keys.forEach(key => delete copy[key])
+    return copy
+  }
+
+  /**
+   * Brings the metafields of an existing destination resource in line with the source ones,
+   * updating the values that changed and creating the missing ones.
+   */
+  async _syncMetafields(resource, sourceId, destinationId, label, metafields = null) {
+    const sourceMetafields = metafields || await this._getMetafields(resource, sourceId)
+    const destinationMetafields = await this._getMetafields(resource, destinationId, this.destination)
+    await this.asyncForEach(sourceMetafields, async (sourceMetafield) => {
+      const metafield = await this._remapMetafield(sourceMetafield, label)
+      if (!metafield) {
+        return
+      }
+      const existing = destinationMetafields.find(m => m.namespace === metafield.namespace && m.key === metafield.key)
+      if (existing && existing.value === metafield.value && existing.type === metafield.type) {
+        return
+      }
+      this.info(`[${label}] Metafield ${metafield.namespace}.${metafield.key} updating`)
+      const newMetafield = existing
+        ? await this.destination.metafield.update(existing.id, { value: metafield.value, type: metafield.type })
+        : await this.destination.metafield.create({
+          namespace: metafield.namespace,
+          key: metafield.key,
+          value: metafield.value,
+          type: metafield.type,
+          owner_resource: resource,
+          owner_id: destinationId
+        })
+      this.ledger.record('metafield', metafield.id, newMetafield.id, `${metafield.namespace}.${metafield.key}`, existing ? 'updated' : 'created')
+    })
+  }
+
+  async _updatePage(destinationId, page) {
+    this.info(`[PAGE ${page.id}] ${page.handle} updating ${destinationId}...`)
+    const fields = this._without(page, ['id', 'admin_graphql_api_id'])
+    await this.destination.page.update(destinationId, fields)
+    this.ledger.record('page', page.id, destinationId, page.handle, 'updated')
+    await this._syncMetafields('page', page.id, destinationId, `PAGE ${page.id}`)
+    this.info(`[PAGE ${page.id}] updated.`)
+  }
+
+  async _updateBlog(destinationId, blog) {
+    this.info(`[BLOG ${blog.id}] ${blog.handle} updating ${destinationId}...`)
+    const fields = this._without(blog, ['id', 'admin_graphql_api_id'])
+    await this.destination.blog.update(destinationId, fields)
+    this.ledger.record('blog', blog.id, destinationId, blog.handle, 'updated')
+    await this._syncMetafields('blog', blog.id, destinationId, `BLOG ${blog.id}`)
+    this.info(`[BLOG ${blog.id}] updated.`)
+  }
+
+  async _updateArticle(blogId, destinationId, article) {
+    this.info(`[ARTICLE ${article.id}] ${article.handle} updating ${destinationId}...`)
+    const fields = this._without(article, ['id', 'admin_graphql_api_id', 'user_id', 'created_at', 'deleted_at'])
+    fields.blog_id = blogId
+    await this.destination.article.update(blogId, destinationId, fields)
+    this.ledger.record('article', article.id, destinationId, article.handle, 'updated')
+    await this._syncMetafields('article', article.id, destinationId, `ARTICLE ${article.id}`)
+    this.info(`[ARTICLE ${article.id}] updated.`)
+  }
+
+  async _updateSmartCollection(destinationId, collection) {
+    this.info(`[SMART COLLECTION ${collection.id}] ${collection.handle} updating ${destinationId}...`)
+    const fields = this._without(collection, ['id', 'admin_graphql_api_id', 'publications'])
+    await this.destination.smartCollection.update(destinationId, fields)
+    this.ledger.record('smart_collection', collection.id, destinationId, collection.handle, 'updated')
+    await this._syncMetafields('smart_collection', collection.id, destinationId, `SMART COLLECTION ${collection.id}`)
+    await this._publish('Collection', collection.id, destinationId, `SMART COLLECTION ${collection.id}`)
+    this.info(`[SMART COLLECTION ${collection.id}] updated.`)
+  }
+
+  async _updateCustomCollection(destinationId, collection, productMap = {}) {
+    this.info(`[CUSTOM COLLECTION ${collection.id}] ${collection.handle} updating ${destinationId}...`)
+    const fields = this._without(collection, ['id', 'admin_graphql_api_id', 'publications'])
+    await this.destination.customCollection.update(destinationId, fields)
+    this.ledger.record('custom_collection', collection.id, destinationId, collection.handle, 'updated')
+
+    // Collects: add the products missing from the destination collection and remove the ones that left it
+    const sourceProducts = await this._listAll(params => this.source.collection.products(collection.id, params))
+    const wantedProductIds = sourceProducts.map(p => productMap[p.id]).filter(id => id)
+    const collects = await this._listAll(params => this.destination.collect.list({ ...params, collection_id: destinationId }))
+    await this.asyncForEach(wantedProductIds.filter(id => !collects.find(c => c.product_id === id)), async (productId) => {
+      await this.destination.collect.create({ collection_id: destinationId, product_id: productId })
+    })
+    await this.asyncForEach(collects.filter(c => wantedProductIds.indexOf(c.product_id) === -1), async (collect) => {
+      await this.destination.collect.delete(collect.id)
+    })
+    await this._syncMetafields('custom_collection', collection.id, destinationId, `CUSTOM COLLECTION ${collection.id}`)
+    await this._publish('Collection', collection.id, destinationId, `CUSTOM COLLECTION ${collection.id}`)
+    this.info(`[CUSTOM COLLECTION ${collection.id}] updated.`)
+  }
+
+  async _updateProduct(destinationId, product) {
+    this.info(`[PRODUCT ${product.id}] ${product.handle} updating ${destinationId}...`)
+    const destinationProduct = await this.destination.product.get(destinationId)
+    const fields = this._without(product, ['id', 'admin_graphql_api_id', 'variants', 'images', 'image', 'options', 'created_at', 'updated_at'])
+    await this.destination.product.update(destinationId, fields)
+    this.ledger.record('product', product.id, destinationId, product.handle, 'updated')
+
+    // Variants are matched by SKU, then by option values
+    const matchedIds = []
+    await this.asyncForEach(product.variants || [], async (variant) => {
+      const existing = destinationProduct.variants.find(v => variant.sku && v.sku === variant.sku && matchedIds.indexOf(v.id) === -1) ||
+        destinationProduct.variants.find(v => variantOptions(v) === variantOptions(variant) && matchedIds.indexOf(v.id) === -1)
+      const variantFields = this._without(variant, ['id', 'admin_graphql_api_id', 'product_id', 'image_id', 'inventory_item_id', 'inventory_quantity', 'old_inventory_quantity', 'fulfillment_service', 'created_at', 'updated_at'])
+      variantFields.inventory_management = 'shopify'
+      if (variantFields.compare_at_price && (variantFields.compare_at_price * 1) <= (variantFields.price * 1)) {
+        variantFields.compare_at_price = null
+      }
+      const newVariant = existing
+        ? await this.destination.productVariant.update(existing.id, variantFields)
+        : await this.destination.productVariant.create(destinationId, variantFields)
+      matchedIds.push(newVariant.id)
+      this.ledger.record('variant', variant.id, newVariant.id, variant.sku || variant.title)
+    })
+    await this.asyncForEach(destinationProduct.variants.filter(v => matchedIds.indexOf(v.id) === -1), async (variant) => {
+      this.info(`[PRODUCT ${product.id}] Removing variant ${variant.title}`)
+      await this.destination.productVariant.delete(destinationId, variant.id)
+    })
+
+    await this._syncProductMedia(product.id, destinationId, `PRODUCT ${product.id}`)
+
+    const metafields = (await this._getMetafields('product', product.id)).filter(m => m.namespace.indexOf('app--') !== 0)
+    await this._syncMetafields('product', product.id, destinationId, `PRODUCT ${product.id}`, metafields)
+    await this._publish('Product', product.id, destinationId, `PRODUCT ${product.id}`)
+    this.info(`[PRODUCT ${product.id}] updated.`)
+  }
+
+  async migratePages(deleteFirst = false, skipExisting = true) {
+    this.log('Page migration started...')
+    let params = { limit: 250 }
+    const destinationPages = {}
+    do {
+      const pages = await this.destination.page.list(params)
+      await this.asyncForEach(pages, async (page) => {
+        destinationPages[page.handle] = page.id
+      })
+      params = pages.nextPageParameters;
+    } while (params !== undefined);
+    params = { limit: 250, ...this.filters.restParams('pages') }
+    do {
+      const pages = await this.source.page.list(params)
+      await this.asyncForEach(pages, async (page) => {
+        if (!this.filters.matches('pages', page)) {
+          return
+        }
+        page = await this._applyHooks('page', page)
+        if (!page) {
+          return
+        }
+        this.saveData && fs.writeFileSync(`data/pages/${page.id}.json`, JSON.stringify(page));
+
+        if (destinationPages[page.handle] && this.updateExisting) {
+          if (this.dryRun) {
+            return this._plan('pages', 'update', page.handle)
+          }
+          return this._attempt('pages', 'update', page.handle, page.id, () => this._updatePage(destinationPages[page.handle], page))
+        }
+        if (destinationPages[page.handle] && deleteFirst) {
+          this._plan('pages', 'replace', page.handle)
+          if (this.dryRun) {
+            return
+          }
+          this.log(`[DUPLICATE PAGE] Deleting destination page ${page.handle}`)
+          await this.destination.page.delete(destinationPages[page.handle])
+        }
+        if (destinationPages[page.handle] && skipExisting && !deleteFirst) {
+          this.log(`[EXISTING PAGE] Skipping ${page.handle}`)
+          return this._plan('pages', 'skip', page.handle)
+        }
+        if (this._createdThisRun('page', page.id)) {
+          this.log(`[EXISTING PAGE] Skipping ${page.handle}, created through a reference`)
+          return this._plan('pages', 'skip', page.handle)
+        }
+        if (this.dryRun) {
+          return this._plan('pages', 'create', page.handle)
+        }
+        await this._attempt('pages', 'create', page.handle, page.id, () => this._migratePage(page))
+      }, this.concurrencyFor('pages'))
+      params = pages.nextPageParameters;
+    } while (params !== undefined);
+    this._printPlan('pages')
+    this.log('Page migration finished!')
+  }
+
+  async migrateProducts(deleteFirst = false, skipExisting = true) {
+    this.log('Product migration started...')
+    if (this.graphqlProducts) {
+      [this.config.source, this.config.destination].filter(profile => !(profile && profile.dir)).forEach((profile) => {
+        if (this._apiVersion(profile) < PRODUCT_SET_API_VERSION) {
+          throw new Error(`--graphql-products needs the ${PRODUCT_SET_API_VERSION} API version or a later one, ${profile ? profile.name : 'a store'} uses ${this._apiVersion(profile)}`)
+        }
+      })
+    }
+    let params = { limit: 250 }
+    const destinationProducts = {}
+    do {
+      const products = await this.destination.product.list(params)
+      await this.asyncForEach(products, async (product) => {
+        destinationProducts[product.handle] = product.id
+      })
+      params = products.nextPageParameters;
+    } while (params !== undefined);
+    await this.filters.load(this.source)
+    params = this.checkpoint.cursor('products') || { limit: 250, ...this.filters.restParams('products') }
+    do {
+      const products = await this.source.product.list(params)
+      await this.checkpointedForEach('products', params, products.nextPageParameters, products, async (product) => {
+        if (!this.filters.matches('products', product)) {
+          return
+        }
+        if (this.graphqlProducts && (product.variants || []).length >= REST_VARIANT_LIMIT) {
+          product.variants = await this._queryProductVariants(this.source, product.id)
+        }
+        product = await this._applyHooks('product', product)
+        if (!product) {
+          return
+        }
+        if (destinationProducts[product.handle] && this.updateExisting) {
+          if (this.dryRun) {
+            return this._plan('products', 'update', product.handle)
+          }
+          return this._attempt('products', 'update', product.handle, product.id, () => this.graphqlProducts
+            ? this._setProduct(product, destinationProducts[product.handle])
+            : this._updateProduct(destinationProducts[product.handle], product))
+        }
+        if (destinationProducts[product.handle] && deleteFirst) {
+          this._plan('products', 'replace', product.handle)
+          if (this.dryRun) {
+            return
+          }
+          this.log(`[DUPLICATE PRODUCT] Deleting destination product ${product.handle}`)
+          await this.destination.product.delete(destinationProducts[product.handle])
+        }
+        if (destinationProducts[product.handle] && skipExisting && !deleteFirst) {
+          this.log(`[EXISTING PRODUCT] Skipping ${product.handle}`)
+          return this._plan('products', 'skip', product.handle)
+        }
+        if (this._createdThisRun('product', product.id)) {
+          this.log(`[EXISTING PRODUCT] Skipping ${product.handle}, created through a reference`)
+          return this._plan('products', 'skip', product.handle)
+        }
+        if (this.dryRun) {
+          return this._plan('products', 'create', product.handle)
+        }
+        this.saveData && fs.writeFileSync(`data/products/${product.id}.json`, JSON.stringify(product));
+        return this._attempt('products', 'create', product.handle, product.id, () => this.graphqlProducts ? this._setProduct(product) : this._migrateProduct(product))
+      })
+      params = products.nextPageParameters;
+    } while (params !== undefined);
+    this._printPlan('products')
+    this.log('Product migration finished!')
+  }
+  /**
+   * Copies the stock of the source store. Source locations are matched with destination ones by name,
+   * missing ones being created with `createLocations`. Every variant matched by SKU then gets the cost, HS code,
+   * origin and `tracked` of its source inventory item, and its available quantity at each matched location.
+   */
+  async migrateInventory(createLocations = false) {
+    this.log('Inventory migration started...')
+    const locations = await this._mapLocations(createLocations)
+    let params = { limit: 250, fields: 'id,variants' }
+    const destinationVariants = {}
+    do {
+      const products = await this.destination.product.list(params)
+      products.forEach(product => product.variants.forEach((variant) => {
+        if (variant.sku) {
+          destinationVariants[variant.sku] = variant
+        }
+      }))
+      params = products.nextPageParameters;
+    } while (params !== undefined);
+    await this.filters.load(this.source)
+    params = this.checkpoint.cursor('inventory') || { limit: 250, ...this.filters.restParams('products') }
+    do {
+      const products = await this.source.product.list(params)
+      await this.checkpointedForEach('inventory', params, products.nextPageParameters, products, async (product) => {
+        if (!this.filters.matches('products', product)) {
+          return
+        }
+        // Hooks may rewrite the SKUs the destination variants were created with
+        product = await this._applyHooks('product', product)
+        if (!product) {
+          return
+        }
+        return this._migrateProductInventory(product, destinationVariants, locations)
+      })
+      params = products.nextPageParameters;
+    } while (params !== undefined);
+    this._printPlan('locations')
+    this._printPlan('inventory')
+    this.log('Inventory migration finished!')
+  }
+
+  /**
+   * Source location id => destination location id, for the locations found (or created) on the destination store.
+   */
+  async _mapLocations(createLocations = false) {
+    const destinationLocations = {}
+    const existing = await this.destination.location.list()
+    existing.forEach((location) => {
+      destinationLocations[location.name] = location.id
+    })
+    const locations = {}
+    const sourceLocations = (await this.source.location.list()).filter(location => location.active !== false)
+    await this.asyncForEach(sourceLocations, async (location) => {
+      if (destinationLocations[location.name]) {
+        locations[location.id] = destinationLocations[location.name]
+        this.ledger.record('location', location.id, destinationLocations[location.name], location.name, 'matched')
+        return this._plan('locations', 'skip', location.name)
+      }
+      if (!createLocations) {
+        this.warn(`[LOCATION ${location.id}] ${location.name} is not on the destination store, its stock will not be copied. Use --create-locations to create it.`)
+        return this._plan('locations', 'skip', location.name)
+      }
+      if (this.dryRun) {
+        return this._plan('locations', 'create', location.name)
+      }
+      await this._attempt('locations', 'create', location.name, location.id, async () => {
+        locations[location.id] = await this._createLocation(location)
+      })
+    })
+    return locations
+  }
+
+  async _createLocation(location) {
+    this.info(`[LOCATION ${location.id}] ${location.name} started...`)
+    const mutation = `
+      mutation locationAdd($input: LocationAddInput!) {
+        locationAdd(input: $input) {
+          location {
+            id
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `
+    const response = await this.destination.graphql(mutation, {
+      input: {
+        name: location.name,
+        address: {
+          address1: location.address1,
+          address2: location.address2,
+          city: location.city,
+          zip: location.zip,
+          provinceCode: location.province_code,
+          countryCode: location.country_code,
+          phone: location.phone
+        }
+      }
+    })
+    if (response.errors) {
+      throw new Error(JSON.stringify(response.errors))
+    }
+    if (response.data.locationAdd.userErrors.length > 0) {
+      throw new Error(`[LOCATION ${location.id}] Failed to create: ${response.data.locationAdd.userErrors[0].message}`)
+    }
+    const destinationId = response.data.locationAdd.location.id.split('/').pop() * 1
+    this.info(`[LOCATION ${location.id}] duplicated. New id is ${destinationId}.`)
+    this.ledger.record('location', location.id, destinationId, location.name)
+    return destinationId
+  }
+
+  // Resolves `false` when the inventory of a variant failed to be copied
+  async _migrateProductInventory(product, destinationVariants, locations) {
+    const variants = product.variants.filter((variant) => {
+      if (variant.sku && destinationVariants[variant.sku]) {
+        return true
+      }
+      this.log(`[INVENTORY ${variant.id}] ${product.handle} ${variant.title} has no SKU matching a destination variant, skipping`)
+      this._plan('inventory', 'skip', `${product.handle} ${variant.title}`)
+      return false
+    })
+    if (this.dryRun) {
+      variants.forEach(variant => this._plan('inventory', 'update', variant.sku))
+      return
+    }
+    let succeeded = true
+    // The inventory endpoints take at most 50 inventory item ids at a time
+    for (let i = 0; i < variants.length; i += 50) {
+      const batch = variants.slice(i, i + 50)
+      const ids = batch.map(variant => variant.inventory_item_id).join(',')
+      const items = await this.source.inventoryItem.list({ ids, limit: 250 })
+      const levels = []
+      let params = { inventory_item_ids: ids, limit: 250 }
+      do {
+        const page = await this.source.inventoryLevel.list(params)
+        levels.push(...page)
+        params = page.nextPageParameters;
+      } while (params !== undefined);
+      await this.asyncForEach(batch, async (variant) => {
+        const item = items.find(inventoryItem => inventoryItem.id === variant.inventory_item_id)
+        const itemLevels = levels.filter(level => level.inventory_item_id === variant.inventory_item_id)
+        const copied = await this._attempt('inventory', 'update', variant.sku, variant.id, () => this._migrateVariantInventory(variant, destinationVariants[variant.sku], item, itemLevels, locations))
+        succeeded = succeeded && copied
+      }, this.concurrencyFor('inventory'))
+    }
+    return succeeded
+  }
+
+  async _migrateVariantInventory(variant, destinationVariant, item, levels, locations) {
+    this.info(`[INVENTORY ${variant.id}] ${variant.sku} started...`)
+    const inventoryItemId = destinationVariant.inventory_item_id
+    if (item) {
+      await this.destination.inventoryItem.update(inventoryItemId, {
+        cost: item.cost,
+        harmonized_system_code: item.harmonized_system_code,
+        country_code_of_origin: item.country_code_of_origin,
+        province_code_of_origin: item.province_code_of_origin,
+        tracked: item.tracked
+      })
+    }
+    // Quantities can't be set on an untracked item
+    if (item && !item.tracked) {
+      this.info(`[INVENTORY ${variant.id}] ${variant.sku} is not tracked, leaving its quantities out.`)
+    } else {
+      await this.asyncForEach(levels, async (level) => {
+        if (!locations[level.location_id] || level.available === null) {
+          return
+        }
+        // Connects the item to the location when it isn't yet
+        await this.destination.inventoryLevel.set({
+          location_id: locations[level.location_id],
+          inventory_item_id: inventoryItemId,
+          available: level.available
+        })
+      })
+    }
+    this.ledger.record('inventory_item', variant.inventory_item_id, inventoryItemId, variant.sku, 'updated')
+    this.info(`[INVENTORY ${variant.id}] ${variant.sku} updated.`)
+  }
+
+  async migrateMetaobjects(deleteFirst = false, skipExisting = true) {
+    this.log('Metaobjects migration started...')
+    const sourceDefinitions = await this._queryMetaobjectDefinitions(this.source)
+    const destinationDefinitions = await this._queryMetaobjectDefinitions(this.destination)
+
+    // Definitions first. Fields referring to definitions that don't exist yet get their validations once they all do.
+    const pendingDefinitions = []
+    await this.asyncForEach(sourceDefinitions, async (definition) => {
+      const existing = destinationDefinitions.find(d => d.type === definition.type)
+      if (existing) {
+        this.log(`[EXISTING METAOBJECT DEFINITION] Skipping ${definition.type}`)
+        this.ledger.record('metaobject_definition', definition.id, existing.id, definition.type, 'matched')
+        return this._plan('metaobject definitions', 'skip', definition.type)
+      }
+      if (this.dryRun) {
+        return this._plan('metaobject definitions', 'create', definition.type)
+      }
+      await this._attempt('metaobject definitions', 'create', definition.type, definition.id, async () => {
+        const pending = await this._migrateMetaobjectDefinition(definition)
+        pending && pendingDefinitions.push(pending)
+      })
+    })
+    await this.asyncForEach(pendingDefinitions, async (pending) => {
+      try {
+        await this._updateMetaobjectDefinitionValidations(pending)
+      } catch (e) {
+        this._plan('metaobject definitions', 'fail', pending.definition.type, { sourceId: pending.definition.id, error: e })
+        this.error(`[METAOBJECT DEFINITION] ${pending.definition.type} FAILED TO BE UPDATED PROPERLY. ${e.message}`)
+      }
+    })
+    this._printPlan('metaobject definitions')
+
+    // Then entries. References between entries are set once every entry exists.
+    const pendingEntries = []
+    await this.asyncForEach(sourceDefinitions, async (definition) => {
+      const destinationEntries = {}
+      if (destinationDefinitions.find(d => d.type === definition.type)) {
+        const entries = await this._queryMetaobjects(this.destination, definition.type)
+        entries.forEach((entry) => {
+          destinationEntries[entry.handle] = entry
+        })
+      }
+      const entries = await this._queryMetaobjects(this.source, definition.type)
+      await this.asyncForEach(entries, async (metaobject) => {
+        const name = `${metaobject.type}/${metaobject.handle}`
+        this.saveData && fs.writeFileSync(`data/metaobjects/${metaobject.id.split('/').pop()}.json`, JSON.stringify(metaobject))
+        if (destinationEntries[metaobject.handle] && deleteFirst) {
+          this._plan('metaobjects', 'replace', name)
+          if (this.dryRun) {
+            return
+          }
+          this.log(`[DUPLICATE METAOBJECT] Deleting destination metaobject ${name}`)
+          await this._deleteMetaobject(destinationEntries[metaobject.handle].id)
+        }
+        if (destinationEntries[metaobject.handle] && skipExisting && !deleteFirst) {
+          this.log(`[EXISTING METAOBJECT] Skipping ${name}`)
+          return this._plan('metaobjects', 'skip', name)
+        }
+        if (this._createdThisRun('metaobject', metaobject.id)) {
+          this.log(`[EXISTING METAOBJECT] Skipping ${name}, created through a reference`)
+          return this._plan('metaobjects', 'skip', name)
+        }
+        if (this.dryRun) {
+          return this._plan('metaobjects', 'create', name)
+        }
+        await this._attempt('metaobjects', 'create', name, metaobject.id, async () => {
+          const pending = await this._migrateMetaobject(metaobject)
+          pending && pendingEntries.push(pending)
+        })
+      }, this.concurrencyFor('metaobjects'))
+    })
+    await this.asyncForEach(pendingEntries, async (pending) => {
+      try {
+        await this._updateMetaobjectReferences(pending)
+      } catch (e) {
+        const name = `${pending.metaobject.type}/${pending.metaobject.handle}`
+        this._plan('metaobjects', 'fail', name, { sourceId: pending.metaobject.id, error: e })
+        this.error(`[METAOBJECT] ${name} FAILED TO BE UPDATED PROPERLY. ${e.message}`)
+      }
+    }, this.concurrencyFor('metaobjects'))
+    this._printPlan('metaobjects')
+    this.log('Metaobjects migration finished!')
+  }
+
+  async _queryMetaobjectDefinitions(client) {
+    const definitions = []
+    let hasNextPage = true
+    let cursor = null
+    while (hasNextPage) {
+      const query = `
+        query {
+          metaobjectDefinitions(first: 250${cursor ? `, after: "${cursor}"` : ''}) {
+            edges {
+              node {
+                id
+                type
+                name
+                description
+                displayNameKey
+                access {
+                  storefront
+                }
+                capabilities {
+                  publishable {
+                    enabled
+                  }
+                  translatable {
+                    enabled
+                  }
+                }
+                fieldDefinitions {
+                  key
+                  name
+                  description
+                  required
+                  type {
+                    name
+                  }
+                  validations {
+                    name
+                    value
+                  }
+                }
+              }
+            }
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+          }
+        }
+      `
+      const response = await client.graphql(query)
+      if (response.errors || !response.data || !response.data.metaobjectDefinitions) {
+        throw new Error(`Could not list metaobject definitions: ${JSON.stringify(response.errors)}`)
+      }
+      response.data.metaobjectDefinitions.edges.forEach(edge => definitions.push(edge.node))
+      hasNextPage = response.data.metaobjectDefinitions.pageInfo.hasNextPage
+      cursor = response.data.metaobjectDefinitions.pageInfo.endCursor
+    }
+    return definitions
+  }
+
+  async _queryMetaobjects(client, type) {
+    const metaobjects = []
+    let hasNextPage = true
+    let cursor = null
+    while (hasNextPage) {
+      const response = await client.graphql(`
+        query ($type: String!, $cursor: String) {
+          metaobjects(type: $type, first: 250, after: $cursor) {
+            edges {
+              node {
+                ${METAOBJECT_FIELDS}
+              }
+            }
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+          }
+        }
+      `, { type, cursor })
+      if (response.errors || !response.data || !response.data.metaobjects) {
+        throw new Error(`Could not list ${type} metaobjects: ${JSON.stringify(response.errors)}`)
+      }
+      response.data.metaobjects.edges.forEach(edge => metaobjects.push(edge.node))
+      hasNextPage = response.data.metaobjects.pageInfo.hasNextPage
+      cursor = response.data.metaobjects.pageInfo.endCursor
+    }
+    return metaobjects
+  }
+
+  /**
+   * Finds the destination metaobject definition matching a source one, through the ledger or by type.
+   */
+  async _resolveMetaobjectDefinition(gid) {
+    const ledgerId = this.ledger.destinationId('metaobject_definition', gid)
+    if (ledgerId) {
+      return ledgerId
+    }
+    const source = await this.source.graphql(`query ($id: ID!) { metaobjectDefinition(id: $id) { type } }`, { id: gid })
+    const definition = source.data && source.data.metaobjectDefinition
+    if (!definition) {
+      return null
+    }
+    const destination = await this.destination.graphql(`query ($type: String!) { metaobjectDefinitionByType(type: $type) { id } }`, { type: definition.type })
+    return destination.data && destination.data.metaobjectDefinitionByType ? destination.data.metaobjectDefinitionByType.id : null
+  }
+
+  /**
+   * Rewrites the `metaobject_definition_id(s)` validations of a field definition for the destination store.
+   * Returns `null` when one of the definitions they point at doesn't exist on the destination yet.
+   */
+  async _remapValidations(validations) {
+    const remapped = []
+    let resolved = true
+    await this.asyncForEach(validations, async (validation) => {
+      if (!validation.value || validation.value.indexOf('gid://shopify/MetaobjectDefinition/') === -1) {
+        return remapped.push({ name: validation.name, value: validation.value })
+      }
+      const isList = validation.value.trim().indexOf('[') === 0
+      const sourceIds = isList ? JSON.parse(validation.value) : [validation.value]
+      const destinationIds = []
+      await this.asyncForEach(sourceIds, async (sourceId) => {
+        const destinationId = await this._resolveMetaobjectDefinition(sourceId)
+        destinationId ? destinationIds.push(destinationId) : (resolved = false)
+      })
+      remapped.push({ name: validation.name, value: isList ? JSON.stringify(destinationIds) : destinationIds[0] })
+    })
+    return resolved ? remapped : null
+  }
+
+  async _migrateMetaobjectDefinition(definition) {
+    this.info(`[METAOBJECT DEFINITION ${definition.type}] started...`)
+    const pendingFields = []
+    const fieldDefinitions = []
+    await this.asyncForEach(definition.fieldDefinitions, async (field) => {
+      const validations = await this._remapValidations(field.validations)
+      if (!validations) {
+        pendingFields.push(field)
+      }
+      fieldDefinitions.push({
+        key: field.key,
+        name: field.name,
+        description: field.description,
+        required: field.required,
+        type: field.type.name,
+        validations: validations || field.validations.filter(v => v.value.indexOf('gid://shopify/MetaobjectDefinition/') === -1)
+      })
+    })
+    const mutation = `
+      mutation metaobjectDefinitionCreate($definition: MetaobjectDefinitionCreateInput!) {
+        metaobjectDefinitionCreate(definition: $definition) {
+          metaobjectDefinition {
+            id
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `
+    const response = await this.destination.graphql(mutation, {
+      definition: {
+        type: definition.type,
+        name: definition.name,
+        description: definition.description,
+        displayNameKey: definition.displayNameKey,
+        access: definition.access && definition.access.storefront ? { storefront: definition.access.storefront } : undefined,
+        capabilities: {
+          publishable: { enabled: definition.capabilities.publishable.enabled },
+          translatable: { enabled: definition.capabilities.translatable.enabled }
+        },
+        fieldDefinitions
+      }
+    })
+    if (response.errors) {
+      throw new Error(JSON.stringify(response.errors))
+    }
+    if (response.data.metaobjectDefinitionCreate.userErrors.length > 0) {
+      throw new Error(response.data.metaobjectDefinitionCreate.userErrors[0].message)
+    }
+    const destinationId = response.data.metaobjectDefinitionCreate.metaobjectDefinition.id
+    this.ledger.record('metaobject_definition', definition.id, destinationId, definition.type)
+    this.info(`[METAOBJECT DEFINITION ${definition.type}] duplicated. New id is ${destinationId}.`)
+    return pendingFields.length ? { definition, destinationId, fields: pendingFields } : null
+  }
+
+  async _updateMetaobjectDefinitionValidations({ definition, destinationId, fields }) {
+    const fieldDefinitions = []
+    await this.asyncForEach(fields, async (field) => {
+      const validations = await this._remapValidations(field.validations)
+      if (!validations) {
+        return this.warn(`[METAOBJECT DEFINITION ${definition.type}] Field ${field.key} refers to a definition missing on the destination store, leaving it unrestricted`)
+      }
+      fieldDefinitions.push({ update: { key: field.key, validations } })
+    })
+    if (!fieldDefinitions.length) {
+      return
+    }
+    const mutation = `
+      mutation metaobjectDefinitionUpdate($id: ID!, $definition: MetaobjectDefinitionUpdateInput!) {
+        metaobjectDefinitionUpdate(id: $id, definition: $definition) {
+          metaobjectDefinition {
+            id
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `
+    const response = await this.destination.graphql(mutation, { id: destinationId, definition: { fieldDefinitions } })
+    if (response.errors || !response.data) {
+      throw new Error(JSON.stringify(response.errors))
+    }
+    if (response.data.metaobjectDefinitionUpdate.userErrors.length > 0) {
+      throw new Error(response.data.metaobjectDefinitionUpdate.userErrors[0].message)
+    }
+    this.info(`[METAOBJECT DEFINITION ${definition.type}] references updated.`)
+  }
+
+  /**
+   * Creates a metaobject on the destination store. Fields pointing at other metaobjects are left out
+   * and returned, to be set with `_updateMetaobjectReferences` once the entries they point at exist.
+   */
+  async _migrateMetaobject(metaobject) {
+    const name = `${metaobject.type}/${metaobject.handle}`
+    this.migrating.add(metaobject.id)
+    this.info(`[METAOBJECT ${name}] started...`)
+    const isMetaobjectReference = field => ['metaobject_reference', 'mixed_reference'].indexOf(field.type.replace(/^list\./, '')) !== -1
+    const fields = []
+    await this.asyncForEach(metaobject.fields.filter(f => f.value !== null && !isMetaobjectReference(f)), async (field) => {
+      const remapped = await this._remapReferences({ namespace: metaobject.type, ...field }, `METAOBJECT ${name}`)
+      remapped && fields.push({ key: field.key, value: remapped.value })
+    })
+    const mutation = `
+      mutation metaobjectCreate($metaobject: MetaobjectCreateInput!) {
+        metaobjectCreate(metaobject: $metaobject) {
+          metaobject {
+            id
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `
+    const response = await this.destination.graphql(mutation, {
+      metaobject: {
+        type: metaobject.type,
+        handle: metaobject.handle,
+        fields,
+        capabilities: metaobject.capabilities && metaobject.capabilities.publishable
+          ? { publishable: { status: metaobject.capabilities.publishable.status } }
+          : undefined
+      }
+    })
+    if (response.errors) {
+      throw new Error(JSON.stringify(response.errors))
+    }
+    if (response.data.metaobjectCreate.userErrors.length > 0) {
+      throw new Error(response.data.metaobjectCreate.userErrors[0].message)
+    }
+    const destinationId = response.data.metaobjectCreate.metaobject.id
+    this.ledger.record('metaobject', metaobject.id, destinationId, name)
+    this.info(`[METAOBJECT ${name}] duplicated. New id is ${destinationId}.`)
+    const pendingFields = metaobject.fields.filter(f => f.value !== null && isMetaobjectReference(f))
+    return pendingFields.length ? { metaobject, destinationId, fields: pendingFields } : null
+  }
+
+  async _updateMetaobjectReferences({ metaobject, destinationId, fields }) {
+    const name = `${metaobject.type}/${metaobject.handle}`
+    const remappedFields = []
+    await this.asyncForEach(fields, async (field) => {
+      const remapped = await this._remapReferences({ namespace: metaobject.type, ...field }, `METAOBJECT ${name}`)
+      remapped && remappedFields.push({ key: field.key, value: remapped.value })
+    })
+    if (!remappedFields.length) {
+      return
+    }
+    const mutation = `
+      mutation metaobjectUpdate($id: ID!, $metaobject: MetaobjectUpdateInput!) {
+        metaobjectUpdate(id: $id, metaobject: $metaobject) {
+          metaobject {
+            id
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `
+    const response = await this.destination.graphql(mutation, { id: destinationId, metaobject: { fields: remappedFields } })
+    if (response.errors || !response.data) {
+      throw new Error(JSON.stringify(response.errors))
+    }
+    if (response.data.metaobjectUpdate.userErrors.length > 0) {
+      throw new Error(response.data.metaobjectUpdate.userErrors[0].message)
+    }
+    this.info(`[METAOBJECT ${name}] references updated.`)
+  }
+
+  async _deleteMetaobject(id) {
+    const mutation = `
+      mutation metaobjectDelete($id: ID!) {
+        metaobjectDelete(id: $id) {
+          deletedId
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `
+    const response = await this.destination.graphql(mutation, { id })
+    if (response.errors || !response.data) {
+      throw new Error(JSON.stringify(response.errors))
+    }
+    if (response.data.metaobjectDelete.userErrors.length > 0) {
+      this.error(`Failed to delete metaobject ${id}: ${response.data.metaobjectDelete.userErrors[0].message}`)
+    }
+  }
+
+  async migrateMetafieldDefinitions() {
+    this.log('Metafield definitions migration started...')
+    await this.asyncForEach(METAFIELD_OWNER_TYPES, async (ownerType) => {
+      const sourceDefinitions = (await this._queryMetafieldDefinitions(this.source, ownerType))
+        .filter(d => d.namespace.indexOf('app--') !== 0)
+        .sort((a, b) => (a.pinnedPosition || 0) - (b.pinnedPosition || 0))
+      const destinationDefinitions = await this._queryMetafieldDefinitions(this.destination, ownerType)
+      // Pinned definitions are created in their source order so that they keep their position
+      await this.asyncForEach(sourceDefinitions, async (definition) => {
+        const name = `${ownerType} ${definition.namespace}.${definition.key}`
+        const existing = destinationDefinitions.find(d => d.namespace === definition.namespace && d.key === definition.key)
+        if (this.dryRun) {
+          return this._plan('metafield definitions', existing ? 'update' : 'create', name)
+        }
+        await this._attempt('metafield definitions', existing ? 'update' : 'create', name, definition.id, () => this._migrateMetafieldDefinition(definition, existing))
+      })
+    }, this.concurrencyFor('metafields'))
+    this._printPlan('metafield definitions')
+    this.log('Metafield definitions migration finished!')
+  }
+
+  async _queryMetafieldDefinitions(client, ownerType) {
+    const definitions = []
+    let hasNextPage = true
+    let cursor = null
+    while (hasNextPage) {
+      const query = `
+        query {
+          metafieldDefinitions(first: 250, ownerType: ${ownerType}${cursor ? `, after: "${cursor}"` : ''}) {
+            edges {
+              node {
+                id
+                name
+                namespace
+                key
+                description
+                ownerType
+                pinnedPosition
+                type {
+                  name
+                }
+                validations {
+                  name
+                  value
+                }
+                access {
+                  storefront
+                }
+              }
+            }
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+          }
+        }
+      `
+      const response = await client.graphql(query)
+      if (response.errors || !response.data || !response.data.metafieldDefinitions) {
+        throw new Error(`Could not list ${ownerType} metafield definitions: ${JSON.stringify(response.errors)}`)
+      }
+      response.data.metafieldDefinitions.edges.forEach(edge => definitions.push(edge.node))
+      hasNextPage = response.data.metafieldDefinitions.pageInfo.hasNextPage
+      cursor = response.data.metafieldDefinitions.pageInfo.endCursor
+    }
+    return definitions
+  }
+
+  async _migrateMetafieldDefinition(definition, existing = null) {
+    const name = `${definition.ownerType} ${definition.namespace}.${definition.key}`
+    this.info(`[METAFIELD DEFINITION] ${name} ${existing ? 'updating' : 'started'}...`)
+    // Validations pointing at metaobject definitions need the destination definition
+    let validations = await this._remapValidations(definition.validations)
+    if (!validations) {
+      this.warn(`[METAFIELD DEFINITION] ${name}: a metaobject definition it refers to is not on the destination store, dropping that validation`)
+      validations = definition.validations.filter(v => v.value.indexOf('gid://shopify/MetaobjectDefinition/') === -1)
+    }
+    const input = {
+      name: definition.name,
+      namespace: definition.namespace,
+      key: definition.key,
+      ownerType: definition.ownerType,
+      description: definition.description,
+      validations,
+      pin: definition.pinnedPosition !== null && definition.pinnedPosition !== undefined,
+      access: definition.access && definition.access.storefront ? { storefront: definition.access.storefront } : undefined
+    }
+    const mutation = existing ? `
+      mutation metafieldDefinitionUpdate($definition: MetafieldDefinitionUpdateInput!) {
+        result: metafieldDefinitionUpdate(definition: $definition) {
+          definition: updatedDefinition {
+            id
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    ` : `
+      mutation metafieldDefinitionCreate($definition: MetafieldDefinitionInput!) {
+        result: metafieldDefinitionCreate(definition: $definition) {
+          definition: createdDefinition {
+            id
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `
+    const response = await this.destination.graphql(mutation, {
+      definition: existing ? input : { ...input, type: definition.type.name }
+    })
+    if (response.errors) {
+      throw new Error(JSON.stringify(response.errors))
+    }
+    if (response.data.result.userErrors.length > 0) {
+      throw new Error(response.data.result.userErrors[0].message)
+    }
+    const destinationId = response.data.result.definition ? response.data.result.definition.id : existing.id
+    this.ledger.record('metafield_definition', definition.id, destinationId, `${definition.namespace}.${definition.key}`, existing ? 'updated' : 'created')
+    this.info(`[METAFIELD DEFINITION] ${name} ${existing ? 'updated' : `duplicated. New id is ${destinationId}`}.`)
+  }
+
+  async migrateMetafields(deleteFirst = false, skipExisting = true) {
+    this.log('Shop Metafields migration started...')
+    const sourceMetafields = []
+    const destinationMetafields = []
+    let params = { limit: 250 }
+    do {
+      const metafields = await this.source.metafield.list(params)
+      metafields.forEach(m => sourceMetafields.push(m))
+      params = metafields.nextPageParameters;
+    } while (params !== undefined);
+
+    params = { limit: 250 }
+    do {
+      const metafields = await this.destination.metafield.list(params)
+      metafields.forEach(m => destinationMetafields.push(m))
+      params = metafields.nextPageParameters;
+    } while (params !== undefined);
+    await this.asyncForEach(sourceMetafields, async (metafield) => {
+      this.saveData && fs.writeFileSync(`data/metafields/${metafield.id}.json`, JSON.stringify(metafield));
+      const destinationMetafield = destinationMetafields.find(f => f.key === metafield.key && f.namespace === metafield.namespace)
+      if (destinationMetafield && deleteFirst) {
+        this._plan('metafields', 'replace', `${metafield.namespace}.${metafield.key}`)
+        if (this.dryRun) {
+          return
+        }
+        this.log(`[DUPLICATE METAFIELD] Deleting destination metafield ${metafield.namespace}.${metafield.key}`)
+        await this.destination.metafield.delete(destinationMetafield.id)
+      }
+      if (destinationMetafield && skipExisting && !deleteFirst) {
+        this.log(`[EXISTING METAFIELD] Skipping ${metafield.namespace}.${metafield.key}`)
+        return this._plan('metafields', 'skip', `${metafield.namespace}.${metafield.key}`)
+      }
+      if (this.dryRun) {
+        return this._plan('metafields', 'create', `${metafield.namespace}.${metafield.key}`)
+      }
+      await this._attempt('metafields', 'create', `${metafield.namespace}.${metafield.key}`, metafield.id, async () => {
+        delete metafield.owner_id
+        delete metafield.owner_resource
+        const remapped = await this._remapMetafield(metafield, 'SHOP')
+        if (!remapped) {
+          return false
+        }
+        const newMetafield = await this.destination.metafield.create(remapped)
+        this.ledger.record('metafield', metafield.id, newMetafield.id, `${metafield.namespace}.${metafield.key}`)
+      })
+    }, this.concurrencyFor('metafields'))
+    this._printPlan('metafields')
+    this.log('Shop Metafields migration finished!')
+  }
+
+  async migrateSmartCollections(deleteFirst = false, skipExisting = true) {
+    this.log('Smart Collections migration started...')
+    let params = { limit: 250 }
+    const destinationCollections = {}
+    do {
+      const collections = await this.destination.smartCollection.list(params)
+      await this.asyncForEach(collections, async (collection) => {
+        destinationCollections[collection.handle] = collection.id
+      })
+      params = collections.nextPageParameters;
+    } while (params !== undefined);
+    params = { limit: 250, ...this.filters.restParams('collections') }
+    do {
+      const collections = await this.source.smartCollection.list(params)
+      await this.asyncForEach(collections, async (collection) => {
+        if (!this.filters.matches('collections', collection)) {
+          return
+        }
+        collection = await this._applyHooks('smartCollection', collection)
+        if (!collection) {
+          return
+        }
+        this.saveData && fs.writeFileSync(`data/collections/${collection.id}.json`, JSON.stringify(collection));
+        if (destinationCollections[collection.handle] && this.updateExisting) {
+          if (this.dryRun) {
+            return this._plan('smart collections', 'update', collection.handle)
+          }
+          return this._attempt('smart collections', 'update', collection.handle, collection.id, () => this._updateSmartCollection(destinationCollections[collection.handle], collection))
+        }
+        if (destinationCollections[collection.handle] && deleteFirst) {
+          this._plan('smart collections', 'replace', collection.handle)
+          if (this.dryRun) {
+            return
+          }
+          this.log(`[DUPLICATE COLLECTION] Deleting destination collection ${collection.handle}`)
+          await this.destination.smartCollection.delete(destinationCollections[collection.handle])
+        }
+        if (destinationCollections[collection.handle] && skipExisting && !deleteFirst) {
+          this.log(`[EXISTING COLLECTION] Skipping ${collection.handle}`)
+          return this._plan('smart collections', 'skip', collection.handle)
+        }
+        if (this._createdThisRun('smart_collection', collection.id)) {
+          this.log(`[EXISTING COLLECTION] Skipping ${collection.handle}, created through a reference`)
+          return this._plan('smart collections', 'skip', collection.handle)
+        }
+        if (this.dryRun) {
+          return this._plan('smart collections', 'create', collection.handle)
+        }
+        await this._attempt('smart collections', 'create', collection.handle, collection.id, () => this._migrateSmartCollection(collection))
+      }, this.concurrencyFor('collections'))
+      params = collections.nextPageParameters;
+    } while (params !== undefined);
+    this._printPlan('smart collections')
+    this.log('Smart Collection migration finished!')
+  }
+
+  async migrateCustomCollections(deleteFirst = false, skipExisting = true) {
+    this.log('Custom Collections migration started...')
+    let params = { limit: 250 }
+    const destinationCollections = {}
+    const productMap = {}
+    const sourceProducts = []
+    const destinationProducts = []
+
+    do {
+      const products = await this.source.product.list(params)
+      products.forEach(p => sourceProducts.push(p))
+      params = products.nextPageParameters;
+    } while (params !== undefined);
+
+    params = { limit: 250 }
+    do {
+      const products = await this.destination.product.list(params)
+      products.forEach(p => destinationProducts.push(p))
+      params = products.nextPageParameters;
+    } while (params !== undefined);
+
+    // Products this tool created are mapped through the ledger, anything else by handle
+    const destinationProductIds = new Set(destinationProducts.map(p => p.id))
+    this.ledger.entries('product').forEach((entry) => {
+      if (destinationProductIds.has(entry.destinationId)) {
+        productMap[entry.sourceId] = entry.destinationId
+      }
+    })
+    destinationProducts.forEach(p => {
+      const sourceProduct = sourceProducts.find(s => s.handle === p.handle)
+      if (sourceProduct && !productMap[sourceProduct.id]) {
+        productMap[sourceProduct.id] = p.id
+      }
+    })
+
+    params = { limit: 250 }
+    do {
+      const collections = await this.destination.smartCollection.list(params)
+      await this.asyncForEach(collections, async (collection) => {
+        destinationCollections[collection.handle] = collection.id
+      })
+      params = collections.nextPageParameters;
+    } while (params !== undefined);
+    params = { limit: 250 }
+
+
+    do {
+      const collections = await this.destination.customCollection.list(params)
+      await this.asyncForEach(collections, async (collection) => {
+        destinationCollections[collection.handle] = collection.id
+      })
+      params = collections.nextPageParameters;
+    } while (params !== undefined);
+    params = { limit: 250, ...this.filters.restParams('collections') }
+    do {
+      const collections = await this.source.customCollection.list(params)
+      await this.asyncForEach(collections, async (collection) => {
+        if (!this.filters.matches('collections', collection)) {
+          return
+        }
+        collection = await this._applyHooks('customCollection', collection)
+        if (!collection) {
+          return
+        }
+        this.saveData && fs.writeFileSync(`data/collections/${collection.id}.json`, JSON.stringify(collection));
+        if (destinationCollections[collection.handle] && this.updateExisting) {
+          if (this.dryRun) {
+            return this._plan('custom collections', 'update', collection.handle)
+          }
+          return this._attempt('custom collections', 'update', collection.handle, collection.id, () => this._updateCustomCollection(destinationCollections[collection.handle], collection, productMap))
+        }
+        if (destinationCollections[collection.handle] && deleteFirst) {
+          this._plan('custom collections', 'replace', collection.handle)
+          if (this.dryRun) {
+            return
+          }
+          this.log(`[DUPLICATE COLLECTION] Deleting destination collection ${collection.handle}`)
+          await this.destination.customCollection.delete(destinationCollections[collection.handle])
+        }
+        if (destinationCollections[collection.handle] && skipExisting && !deleteFirst) {
+          this.log(`[EXISTING COLLECTION] Skipping ${collection.handle}`)
+          return this._plan('custom collections', 'skip', collection.handle)
+        }
+        if (this._createdThisRun('custom_collection', collection.id)) {
+          this.log(`[EXISTING COLLECTION] Skipping ${collection.handle}, created through a reference`)
+          return this._plan('custom collections', 'skip', collection.handle)
+        }
+        if (this.dryRun) {
+          return this._plan('custom collections', 'create', collection.handle)
+        }
+        await this._attempt('custom collections', 'create', collection.handle, collection.id, () => this._migrateCustomCollection(collection, productMap))
+      }, this.concurrencyFor('collections'))
+      params = collections.nextPageParameters;
+    } while (params !== undefined);
+    this._printPlan('custom collections')
+    this.log('Custom Collection migration finished!')
+  }
+
+  async migrateBlogs(deleteFirst = false, skipExisting = true) {
+    this.log('Blog migration started...')
+    let params = { limit: 250 }
+    const destinationBlogs = {}
+    do {
+      const blogs = await this.destination.blog.list(params)
+      await this.asyncForEach(blogs, async (blog) => {
+        destinationBlogs[blog.handle] = blog.id
+      })
+      params = blogs.nextPageParameters;
+    } while (params !== undefined);
+    params = { limit: 250 }
+    do {
+      const blogs = await this.source.blog.list(params)
+      await this.asyncForEach(blogs, async (blog) => {
+        this.saveData && fs.writeFileSync(`data/blogs/${blog.id}.json`, JSON.stringify(blog));
+        blog = await this._applyHooks('blog', blog)
+        if (!blog) {
+          return
+        }
+
+        if (destinationBlogs[blog.handle] && this.updateExisting) {
+          if (this.dryRun) {
+            return this._plan('blogs', 'update', blog.handle)
+          }
+          return this._attempt('blogs', 'update', blog.handle, blog.id, () => this._updateBlog(destinationBlogs[blog.handle], blog))
+        }
+        if (destinationBlogs[blog.handle] && deleteFirst) {
+          this._plan('blogs', 'replace', blog.handle)
+          if (this.dryRun) {
+            return
+          }
+          this.log(`[DUPLICATE blog] Deleting destination blog ${blog.handle}`)
+          await this.destination.blog.delete(destinationBlogs[blog.handle])
+        }
+        if (destinationBlogs[blog.handle] && skipExisting && !deleteFirst) {
+          this.log(`[EXISTING BLOG] Skipping ${blog.handle}`)
+          return this._plan('blogs', 'skip', blog.handle)
+        }
+        if (this.dryRun) {
+          return this._plan('blogs', 'create', blog.handle)
+        }
+        await this._attempt('blogs', 'create', blog.handle, blog.id, () => this._migrateBlog(blog))
+      }, this.concurrencyFor('blogs'))
+      params = blogs.nextPageParameters;
+    } while (params !== undefined);
+    this._printPlan('blogs')
+    this.log('Blog migration finished!')
+  }
+
+  async migrateArticles(deleteFirst = false, skipExisting = true) {
+    const blogParams = {limit: 250}
+    const sourceBlogs = await this.source.blog.list(blogParams)
+    const destinationBlogs = await this.destination.blog.list(blogParams)
+    const findDestinationBlog = (sourceBlog) => {
+      const ledgerId = this.ledger.destinationId('blog', sourceBlog.id)
+      return destinationBlogs.find(destinationBlog => destinationBlog.id === ledgerId) ||
+        destinationBlogs.find(destinationBlog => destinationBlog.handle === sourceBlog.handle)
+    }
+    const matchingBlogs = sourceBlogs.filter(findDestinationBlog)
+    this.log(`Migrating articles for ${matchingBlogs.length} matching blog(s): ${matchingBlogs.map(b => b.handle).join(', ')}`)
+
+    await this.asyncForEach(matchingBlogs, async (blog) => {
+      const destinationBlog = findDestinationBlog(blog)
+      let params = { limit: 250 }
+      const destinationArticles = {}
+      do {
+        const articles = await this.destination.article.list(destinationBlog.id, params)
+        await this.asyncForEach(articles, async (article) => {
+          destinationArticles[article.handle] = article.id
+        })
+        params = articles.nextPageParameters;
+      } while (params !== undefined);
+
+      params = { limit: 250, ...this.filters.restParams('articles') }
+      do {
+        const articles = await this.source.article.list(blog.id, params)
+        await this.asyncForEach(articles, async (article) => {
+          if (!this.filters.matches('articles', article)) {
+            return
+          }
+          article = await this._applyHooks('article', article, { blogId: destinationBlog.id })
+          if (!article) {
+            return
+          }
+          this.saveData && fs.writeFileSync(`data/articles/${article.id}.json`, JSON.stringify(article));
+          if (destinationArticles[article.handle] && this.updateExisting) {
+            if (this.dryRun) {
+              return this._plan('articles', 'update', article.handle)
+            }
+            return this._attempt('articles', 'update', article.handle, article.id, () => this._updateArticle(destinationBlog.id, destinationArticles[article.handle], article))
+          }
+          if (destinationArticles[article.handle] && deleteFirst) {
+            this._plan('articles', 'replace', article.handle)
+            if (this.dryRun) {
+              return
+            }
+            this.log(`[DUPLICATE article] Deleting destination article ${article.handle}`)
+            await this.destination.article.delete(destinationBlog.id, destinationArticles[article.handle])
+          }
+          if (destinationArticles[article.handle] && skipExisting && !deleteFirst) {
+            this.log(`[EXISTING ARTICLE] Skipping ${article.handle}`)
+            return this._plan('articles', 'skip', article.handle)
+          }
+          if (this.dryRun) {
+            return this._plan('articles', 'create', article.handle)
+          }
+          await this._attempt('articles', 'create', article.handle, article.id, () => this._migrateArticle(destinationBlog.id, article))
+        }, this.concurrencyFor('articles'))
+        params = articles.nextPageParameters;
+      } while (params !== undefined);
+    })
+    this._printPlan('articles')
+  }
+  async migrateRedirects(deleteFirst = false, skipExisting = true) {
+    this.log('Redirect migration started...')
+    let params = { limit: 250 }
+    const destinationRedirects = {}
+    do {
+      const redirects = await this.destination.redirect.list(params)
+      redirects.forEach((redirect) => {
+        destinationRedirects[redirect.path] = redirect.id
+      })
+      params = redirects.nextPageParameters;
+    } while (params !== undefined);
+    const sourceDomains = this.rewriteRedirectTargets ? await this._sourceDomains() : []
+    params = this.checkpoint.cursor('redirects') || { limit: 250 }
+    do {
+      const redirects = await this.source.redirect.list(params)
+      await this.checkpointedForEach('redirects', params, redirects.nextPageParameters, redirects, async (redirect) => {
+        this.saveData && fs.writeFileSync(`data/redirects/${redirect.id}.json`, JSON.stringify(redirect));
+        redirect = await this._applyHooks('redirect', redirect)
+        if (!redirect) {
+          return
+        }
+
+        if (destinationRedirects[redirect.path] && deleteFirst) {
+          this._plan('redirects', 'replace', redirect.path)
+          if (this.dryRun) {
+            return
+          }
+          this.log(`[DUPLICATE REDIRECT] Deleting destination redirect ${redirect.path}`)
+          await this.destination.redirect.delete(destinationRedirects[redirect.path])
+        }
+        if (destinationRedirects[redirect.path] && skipExisting && !deleteFirst) {
+          this.log(`[EXISTING REDIRECT] Skipping ${redirect.path}`)
+          return this._plan('redirects', 'skip', redirect.path)
+        }
+        if (this.dryRun) {
+          return this._plan('redirects', 'create', redirect.path)
+        }
+        return this._attempt('redirects', 'create', redirect.path, redirect.id, () => this._migrateRedirect(redirect, sourceDomains))
+      })
+      params = redirects.nextPageParameters;
+    } while (params !== undefined);
+    this._printPlan('redirects')
+    this.log('Redirect migration finished!')
+  }
+
+  async migrateCustomers(deleteFirst = false, skipExisting = true) {
+    this.log('Customer migration started...')
+    if (this.anonymize && !this.anonymizer) {
+      throw new Error('Customers are anonymized with a secret: set ANONYMIZE_SECRET, or use --no-anonymize to copy their personal information as is')
+    }
+    if (!this.anonymize) {
+      this.warn('[CUSTOMERS] Anonymization is off, names, emails, phones and addresses are copied as is')
+    }
+    let params = { limit: 250 }
+    const destinationCustomers = {}
+    do {
+      const customers = await this.destination.customer.list(params)
+      customers.forEach((customer) => {
+        destinationCustomers[customerKey(customer)] = customer.id
+      })
+      params = customers.nextPageParameters;
+    } while (params !== undefined);
+    params = this.checkpoint.cursor('customers') || { limit: 250, ...this.filters.restParams('customers') }
+    do {
+      const customers = await this.source.customer.list(params)
+      await this.checkpointedForEach('customers', params, customers.nextPageParameters, customers, async (customer) => {
+        if (!this.filters.matches('customers', customer)) {
+          return
+        }
+        // Hooks see the real customer, but whatever they return is anonymized
+        customer = await this._applyHooks('customer', customer)
+        if (!customer) {
+          return
+        }
+        if (this.anonymizer) {
+          customer = this.anonymizer.customer(customer)
+        }
+        const key = customerKey(customer)
+        if (!key) {
+          this.warn(`[CUSTOMER ${customer.id}] has neither an email nor a phone to be matched with, skipping`)
+          return this._plan('customers', 'skip', `#${customer.id}`)
+        }
+
+        if (destinationCustomers[key] && this.updateExisting) {
+          if (this.dryRun) {
+            return this._plan('customers', 'update', key)
+          }
+          return this._attempt('customers', 'update', key, customer.id, () => this._updateCustomer(destinationCustomers[key], customer))
+        }
+        if (destinationCustomers[key] && deleteFirst) {
+          this._plan('customers', 'replace', key)
+          if (this.dryRun) {
+            return
+          }
+          this.log(`[DUPLICATE CUSTOMER] Deleting destination customer ${key}`)
+          await this.destination.customer.delete(destinationCustomers[key])
+        }
+        if (destinationCustomers[key] && skipExisting && !deleteFirst) {
+          this.log(`[EXISTING CUSTOMER] Skipping ${key}`)
+          return this._plan('customers', 'skip', key)
+        }
+        if (this.dryRun) {
+          return this._plan('customers', 'create', key)
+        }
+        return this._attempt('customers', 'create', key, customer.id, () => this._migrateCustomer(customer))
+      })
+      params = customers.nextPageParameters;
+    } while (params !== undefined);
+    this._printPlan('customers')
+    this.log('Customer migration finished!')
+  }
+
+  /**
+   * Writable fields of a source customer. Order stats and account state belong to the source store.
+   */
+  _customerFields(customer) {
+    const fields = this._without(customer, [
+      'id', 'admin_graphql_api_id', 'created_at', 'updated_at', 'orders_count', 'total_spent', 'last_order_id', 'last_order_name',
+      'state', 'verified_email', 'multipass_identifier', 'default_address', 'currency',
+      // Replaced by `email_marketing_consent`
+      'accepts_marketing', 'accepts_marketing_updated_at', 'marketing_opt_in_level'
+    ])
+    fields.addresses = (customer.addresses || []).map(address => this._without(address, ['id', 'customer_id', 'country_name']))
+    if (!fields.phone || !fields.sms_marketing_consent) {
+      delete fields.sms_marketing_consent
+    } else {
+      fields.sms_marketing_consent = this._without(fields.sms_marketing_consent, ['consent_collected_from'])
+    }
+    return fields
+  }
+
+  /**
+   * Metafields of a customer to copy. Anonymization can't tell which text holds personal information, so anonymized
+   * customers only keep the metafields whose type can't hold any (numbers, booleans, product references, ...)
+   * and the ones of `--customer-metafields`. The others are left out with a warning.
+   */
+  async _customerMetafields(customer) {
+    const metafields = await this._getMetafields('customer', customer.id)
+    if (!this.anonymize) {
+      return metafields
+    }
+    const kept = metafields.filter(m => ANONYMOUS_METAFIELD_TYPES.indexOf(m.type) !== -1 ||
+      this.customerMetafields.indexOf(m.namespace) !== -1 || this.customerMetafields.indexOf(`${m.namespace}.${m.key}`) !== -1)
+    const dropped = metafields.filter(m => kept.indexOf(m) === -1)
+    if (dropped.length) {
+      this.warn(`[CUSTOMER ${customer.id}] anonymized, leaving out its metafields ${dropped.map(m => `${m.namespace}.${m.key}`).join(', ')}`)
+    }
+    return kept
+  }
+
+  async _migrateCustomer(customer) {
+    const label = customerKey(customer)
+    this.info(`[CUSTOMER ${customer.id}] ${label} started...`)
+    const metafields = await this._customerMetafields(customer)
+    this.info(`[CUSTOMER ${customer.id}] has ${metafields.length} metafields...`)
+    const fields = { ...this._customerFields(customer), send_email_invite: false }
+    let newCustomer
+    try {
+      newCustomer = await this.destination.customer.create(fields)
+    } catch (e) {
+      // Phones are unique per store, and anonymized ones can collide
+      const errors = e.response && e.response.body && e.response.body.errors
+      if (!fields.phone || !errors || !errors.phone) {
+        throw e
+      }
+      this.warn(`[CUSTOMER ${customer.id}] ${label}: phone ${fields.phone} is already taken on the destination store, creating the customer without it`)
+      newCustomer = await this.destination.customer.create(this._without(fields, ['phone', 'sms_marketing_consent']))
+    }
+    this.info(`[CUSTOMER ${customer.id}] duplicated. New id is ${newCustomer.id}.`)
+    this.ledger.record('customer', customer.id, newCustomer.id, label)
+    await this.asyncForEach(metafields, async (metafield) => {
+      const sourceId = metafield.id
+      delete metafield.id
+      metafield.owner_resource = 'customer'
+      metafield.owner_id = newCustomer.id
+      this.info(`[CUSTOMER ${customer.id}] Metafield ${metafield.namespace}.${metafield.key} started`)
+      const remapped = await this._remapMetafield(metafield, `CUSTOMER ${customer.id}`)
+      if (!remapped) {
+        return
+      }
+      const newMetafield = await this.destination.metafield.create(remapped)
+      this.ledger.record('metafield', sourceId, newMetafield.id, `${metafield.namespace}.${metafield.key}`)
+      this.info(`[CUSTOMER ${customer.id}] Metafield ${metafield.namespace}.${metafield.key} done!`)
+    })
+  }
+
+  // Addresses are left alone: they have their own ids and can't be matched with the source ones
+  async _updateCustomer(destinationId, customer) {
+    const label = customerKey(customer)
+    this.info(`[CUSTOMER ${customer.id}] ${label} updating ${destinationId}...`)
+    await this.destination.customer.update(destinationId, this._without(this._customerFields(customer), ['addresses']))
+    this.ledger.record('customer', customer.id, destinationId, label, 'updated')
+    await this._syncMetafields('customer', customer.id, destinationId, `CUSTOMER ${customer.id}`, await this._customerMetafields(customer))
+    this.info(`[CUSTOMER ${customer.id}] updated.`)
+  }
+
+  /**
+   * Copies code and automatic discounts (amount off, buy X get Y and free shipping) with their dates, combinations,
+   * minimum requirements and eligible customers. The products, variants and collections they apply to are resolved
+   * like reference metafields. Code discounts are matched by code then title, automatic discounts by title.
+   */
+  async migrateDiscounts(deleteFirst = false, skipExisting = true) {
+    this.log('Discount migration started...')
+    const destinationDiscounts = {}
+    const existing = await this._queryDiscounts(this.destination)
+    existing.forEach((discount) => {
+      destinationDiscounts[`title:${discount.title}`] = discount
+      if (discount.code) {
+        destinationDiscounts[`code:${discount.code.toLowerCase()}`] = discount
+      }
+    })
+    const sourceDiscounts = await this._queryDiscounts(this.source)
+    await this.asyncForEach(sourceDiscounts, async (summary) => {
+      const label = summary.code || summary.title
+      if (!DISCOUNT_TYPES[summary.type]) {
+        this.warn(`[DISCOUNT ${summary.id}] ${label} is an app discount (${summary.type}), skipping`)
+        return this._plan('discounts', 'skip', label)
+      }
+      let discount = await this._getDiscount(this.source, summary.id)
+      discount = await this._applyHooks('discount', discount)
+      if (!discount) {
+        return
+      }
+      const match = (summary.code && destinationDiscounts[`code:${summary.code.toLowerCase()}`]) || destinationDiscounts[`title:${summary.title}`]
+
+      if (match && this.updateExisting) {
+        if (this.dryRun) {
+          return this._plan('discounts', 'update', label)
+        }
+        return this._attempt('discounts', 'update', label, summary.id, () => this._updateDiscount(match, discount))
+      }
+      if (match && deleteFirst) {
+        this._plan('discounts', 'replace', label)
+        if (this.dryRun) {
+          return
+        }
+        this.log(`[DUPLICATE DISCOUNT] Deleting destination discount ${label}`)
+        await this._deleteDiscount(match)
+      }
+      if (match && skipExisting && !deleteFirst) {
+        this.log(`[EXISTING DISCOUNT] Skipping ${label}`)
+        return this._plan('discounts', 'skip', label)
+      }
+      if (this.dryRun) {
+        return this._plan('discounts', 'create', label)
+      }
+      await this._attempt('discounts', 'create', label, summary.id, () => this._migrateDiscount(discount))
+    }, this.concurrencyFor('discounts'))
+    this._printPlan('discounts')
+    this.log('Discount migration finished!')
+  }
+
+  /**
+   * Every discount of a store as `{ id, type, title, code }`, `code` being the first code of code discounts.
+   * The details are fetched one discount at a time by `_getDiscount`, they are too costly to query in bulk.
+   */
+  async _queryDiscounts(client) {
+    const discounts = []
+    let cursor = null
+    let hasNextPage = true
+    while (hasNextPage) {
+      const query = `
+        query {
+          discountNodes(first: 100${cursor ? `, after: "${cursor}"` : ''}) {
+            edges {
+              node {
+                id
+                discount {
+                  __typename
+                  ... on DiscountCodeBasic { title codes(first: 1) { edges { node { code } } } }
+                  ... on DiscountCodeBxgy { title codes(first: 1) { edges { node { code } } } }
+                  ... on DiscountCodeFreeShipping { title codes(first: 1) { edges { node { code } } } }
+                  ... on DiscountCodeApp { title codes(first: 1) { edges { node { code } } } }
+                  ... on DiscountAutomaticBasic { title }
+                  ... on DiscountAutomaticBxgy { title }
+                  ... on DiscountAutomaticApp { title }
+                }
+              }
+            }
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+          }
+        }
+      `
+      const response = await client.graphql(query)
+      if (response.errors || !response.data || !response.data.discountNodes) {
+        throw new Error(`Could not list discounts: ${JSON.stringify(response.errors)}`)
+      }
+      response.data.discountNodes.edges.forEach(({ node }) => {
+        const codes = node.discount.codes ? node.discount.codes.edges : []
+        discounts.push({ id: node.id, type: node.discount.__typename, title: node.discount.title, code: codes.length ? codes[0].node.code : null })
+      })
+      hasNextPage = response.data.discountNodes.pageInfo.hasNextPage
+      cursor = response.data.discountNodes.pageInfo.endCursor
+    }
+    return discounts
+  }
+
+  async _getDiscount(client, id) {
+    const fragments = Object.keys(DISCOUNT_TYPE_FIELDS).map((type) => {
+      return `... on ${type} { ${DISCOUNT_TYPE_FIELDS[type].map(group => DISCOUNT_FIELDS[group]).join('\n')} }`
+    })
+    const response = await client.graphql(`query ($id: ID!) { discountNode(id: $id) { id discount { __typename ${fragments.join('\n')} } } }`, { id })
+    if (response.errors || !response.data || !response.data.discountNode) {
+      throw new Error(`Could not read discount ${id}: ${JSON.stringify(response.errors)}`)
+    }
+    const { discount } = response.data.discountNode
+    // Only the first page of each connection comes with the discount
+    if (discount.codes) {
+      discount.codes = await this._discountConnection(client, id, discount, ['codes'], null, 'code')
+    }
+    for (const parent of ['customerGets', 'customerBuys']) {
+      const items = discount[parent] && discount[parent].items
+      const fields = { DiscountProducts: ['products', 'productVariants'], DiscountCollections: ['collections'] }[items && items.__typename] || []
+      for (const field of fields) {
+        items[field] = await this._discountConnection(client, id, discount, [parent, 'items', field], items.__typename, 'id')
+      }
+    }
+    return { ...discount, id, codes: discount.codes ? discount.codes.edges.map(edge => edge.node.code) : [] }
+  }
+
+  /**
+   * Every edge of a connection of a discount (its codes, or the products, variants and collections it applies to),
+   * reading the pages past the one `discount` holds. `path` leads to the connection, whose parent is of the `fragment` type.
+   */
+  async _discountConnection(client, id, discount, path, fragment, nodeFields) {
+    const connection = path.reduce((value, key) => value[key], discount)
+    const edges = [...connection.edges]
+    let { hasNextPage, endCursor } = connection.pageInfo
+    const field = path[path.length - 1]
+    const page = `${field}(first: 250, after: $after) { edges { node { ${nodeFields} } } pageInfo { hasNextPage endCursor } }`
+    const selection = path.slice(0, -1).reduceRight((inner, parent) => `${parent} { ${inner} }`, fragment ? `... on ${fragment} { ${page} }` : page)
+    const query = `query ($id: ID!, $after: String) { discountNode(id: $id) { discount { ... on ${discount.__typename} { ${selection} } } } }`
+    while (hasNextPage) {
+      const response = await client.graphql(query, { id, after: endCursor })
+      if (response.errors || !response.data || !response.data.discountNode) {
+        throw new Error(`Could not read the ${field} of discount ${id}: ${JSON.stringify(response.errors)}`)
+      }
+      const next = path.reduce((value, key) => value[key], response.data.discountNode.discount)
+      edges.push(...next.edges)
+      hasNextPage = next.pageInfo.hasNextPage
+      endCursor = next.pageInfo.endCursor
+    }
+    return { edges }
+  }
+
+  /**
+   * Input of the create and update mutations of a discount, with every resource it refers to
+   * pointed at the destination store. Throws rather than widening a discount: one restricted to products,
+   * collections or customers none of which are on the destination store is not copied.
+   */
+  async _discountInput(discount) {
+    const type = DISCOUNT_TYPES[discount.__typename]
+    const input = {
+      title: discount.title,
+      startsAt: discount.startsAt,
+      endsAt: discount.endsAt,
+      combinesWith: discount.combinesWith
+    }
+    if (type.code) {
+      input.code = discount.codes[0]
+      input.usageLimit = discount.usageLimit
+      input.appliesOncePerCustomer = discount.appliesOncePerCustomer
+      input.customerSelection = await this._discountCustomerSelection(discount)
+    }
+    if (discount.minimumRequirement) {
+      const { greaterThanOrEqualToQuantity, greaterThanOrEqualToSubtotal } = discount.minimumRequirement
+      input.minimumRequirement = greaterThanOrEqualToSubtotal
+        ? { subtotal: { greaterThanOrEqualToSubtotal: greaterThanOrEqualToSubtotal.amount } }
+        : { quantity: { greaterThanOrEqualToQuantity } }
+    }
+    if (discount.customerGets) {
+      const { value, items, appliesOnOneTimePurchase, appliesOnSubscription } = discount.customerGets
+      const values = {
+        DiscountPercentage: () => ({ percentage: value.percentage }),
+        DiscountAmount: () => ({ discountAmount: { amount: value.amount && value.amount.amount, appliesOnEachItem: value.appliesOnEachItem } }),
+        DiscountOnQuantity: () => ({ discountOnQuantity: { quantity: value.quantity && value.quantity.quantity, effect: { percentage: value.effect && value.effect.percentage } } })
+      }
+      input.customerGets = {
+        value: values[value.__typename](),
+        items: await this._discountItems(discount, items),
+        appliesOnOneTimePurchase,
+        appliesOnSubscription
+      }
+    }
+    if (discount.customerBuys) {
+      const { value, items } = discount.customerBuys
+      input.customerBuys = {
+        value: value.__typename === 'DiscountPurchaseAmount' ? { amount: value.amount } : { quantity: value.quantity },
+        items: await this._discountItems(discount, items)
+      }
+      input.usesPerOrderLimit = discount.usesPerOrderLimit
+    }
+    if (discount.__typename === 'DiscountCodeFreeShipping') {
+      const { destinationSelection } = discount
+      input.destination = destinationSelection.__typename === 'DiscountCountries'
+        ? { countries: { add: destinationSelection.countries, includeRestOfWorld: destinationSelection.includeRestOfWorld } }
+        : { all: true }
+      input.maximumShippingPrice = discount.maximumShippingPrice ? discount.maximumShippingPrice.amount : null
+      input.appliesOnOneTimePurchase = discount.appliesOnOneTimePurchase
+      input.appliesOnSubscription = discount.appliesOnSubscription
+    }
+    return input
+  }
+
+  async _discountItems(discount, items) {
+    if (items.__typename === 'AllDiscountItems') {
+      return { all: true }
+    }
+    const resolve = async (connection) => {
+      const gids = connection ? connection.edges.map(edge => edge.node.id) : []
+      const resolved = []
+      await this.asyncForEach(gids, async (gid) => {
+        const destinationId = await this._resolveReference(gid)
+        if (destinationId) {
+          resolved.push(destinationId)
+        } else {
+          this.warn(`[DISCOUNT ${discount.id}] ${gid} is not on the destination store, the discount won't apply to it`)
+        }
+      })
+      return resolved
+    }
+    const result = items.__typename === 'DiscountCollections'
+      ? { collections: { add: await resolve(items.collections) } }
+      : { products: { productsToAdd: await resolve(items.products), productVariantsToAdd: await resolve(items.productVariants) } }
+    if (!(result.collections ? result.collections.add : result.products.productsToAdd.concat(result.products.productVariantsToAdd)).length) {
+      throw new Error(`[DISCOUNT ${discount.id}] None of the products and collections it applies to are on the destination store`)
+    }
+    return result
+  }
+
+  async _discountCustomerSelection(discount) {
+    const selection = discount.customerSelection
+    if (selection.__typename === 'DiscountCustomers') {
+      const customers = []
+      await this.asyncForEach(selection.customers, async (customer) => {
+        const destinationId = await this._resolveDiscountCustomer(customer)
+        if (destinationId) {
+          customers.push(destinationId)
+        } else {
+          this.warn(`[DISCOUNT ${discount.id}] Customer ${customer.id} is not on the destination store, it won't be eligible`)
+        }
+      })
+      if (!customers.length) {
+        throw new Error(`[DISCOUNT ${discount.id}] None of its eligible customers are on the destination store`)
+      }
+      return { customers: { add: customers } }
+    }
+    if (selection.__typename === 'DiscountCustomerSegments') {
+      const segments = await this._destinationSegments()
+      const segmentIds = selection.segments.map((segment) => {
+        if (!segments[segment.name]) {
+          this.warn(`[DISCOUNT ${discount.id}] Customer segment ${segment.name} is not on the destination store, it won't be eligible`)
+        }
+        return segments[segment.name]
+      }).filter(id => id)
+      if (!segmentIds.length) {
+        throw new Error(`[DISCOUNT ${discount.id}] None of its customer segments are on the destination store`)
+      }
+      return { customerSegments: { add: segmentIds } }
+    }
+    return { all: true }
+  }
+
+  // Customers copied by `--customers` are in the ledger, others are looked up by their (anonymized) email
+  async _resolveDiscountCustomer(customer) {
+    const ledgerId = this.ledger.destinationId('customer', customer.id.split('/').pop())
+    if (ledgerId && await this._onDestination(`gid://shopify/Customer/${ledgerId}`)) {
+      return `gid://shopify/Customer/${ledgerId}`
+    }
+    if (!customer.email) {
+      return null
+    }
+    const email = this.anonymizer ? this.anonymizer.email(customer.email) : customer.email
+    const response = await this.destination.graphql(`query ($query: String!) { customers(first: 1, query: $query) { edges { node { id } } } }`, {
+      query: `email:${JSON.stringify(email)}`
+    })
+    const match = response.data && response.data.customers && response.data.customers.edges[0]
+    return match ? match.node.id : null
+  }
+
+  // Customer segment name => destination segment id, looked up once per run
+  _destinationSegments() {
+    if (!this.segments) {
+      this.segments = (async () => {
+        const segments = {}
+        let cursor = null
+        let hasNextPage = true
+        while (hasNextPage) {
+          const response = await this.destination.graphql(`query { segments(first: 250${cursor ? `, after: "${cursor}"` : ''}) { edges { node { id name } } pageInfo { hasNextPage endCursor } } }`)
+          if (response.errors || !response.data || !response.data.segments) {
+            throw new Error(`Could not list the destination customer segments: ${JSON.stringify(response.errors)}`)
+          }
+          response.data.segments.edges.forEach(({ node }) => {
+            segments[node.name] = node.id
+          })
+          hasNextPage = response.data.segments.pageInfo.hasNextPage
+          cursor = response.data.segments.pageInfo.endCursor
+        }
+        return segments
+      })()
+    }
+    return this.segments
+  }
+
+  async _migrateDiscount(discount) {
+    const label = discount.codes[0] || discount.title
+    this.info(`[DISCOUNT ${discount.id}] ${label} started...`)
+    const type = DISCOUNT_TYPES[discount.__typename]
+    const node = type.code ? 'codeDiscountNode' : 'automaticDiscountNode'
+    const mutation = `
+      mutation ${type.mutation}Create($input: ${type.inputType}!) {
+        result: ${type.mutation}Create(${type.input}: $input) {
+          node: ${node} {
+            id
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `
+    const response = await this.destination.graphql(mutation, { input: await this._discountInput(discount) })
+    if (response.errors) {
+      throw new Error(JSON.stringify(response.errors))
+    }
+    if (response.data.result.userErrors.length > 0) {
+      throw new Error(`[DISCOUNT ${discount.id}] Failed to create: ${response.data.result.userErrors[0].message}`)
+    }
+    const destinationId = response.data.result.node.id
+    this.info(`[DISCOUNT ${discount.id}] duplicated. New id is ${destinationId}.`)
+    this.ledger.record('discount', discount.id, destinationId, label)
+    // The create mutations take a single code
+    if (discount.codes.length > 1) {
+      await this._addDiscountCodes(discount, destinationId, discount.codes.slice(1))
+    }
+  }
+
+  // Codes are added 250 at a time, the most `discountRedeemCodeBulkAdd` takes
+  async _addDiscountCodes(discount, destinationId, codes) {
+    this.info(`[DISCOUNT ${discount.id}] Adding ${codes.length} more codes...`)
+    const mutation = `
+      mutation discountRedeemCodeBulkAdd($discountId: ID!, $codes: [DiscountRedeemCodeInput!]!) {
+        discountRedeemCodeBulkAdd(discountId: $discountId, codes: $codes) {
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `
+    for (let start = 0; start < codes.length; start += 250) {
+      const batch = codes.slice(start, start + 250)
+      const response = await this.destination.graphql(mutation, { discountId: destinationId, codes: batch.map(code => ({ code })) })
+      if (response.errors) {
+        throw new Error(JSON.stringify(response.errors))
+      }
+      if (response.data.discountRedeemCodeBulkAdd.userErrors.length > 0) {
+        throw new Error(`[DISCOUNT ${discount.id}] Failed to add codes: ${response.data.discountRedeemCodeBulkAdd.userErrors[0].message}`)
+      }
+    }
+  }
+
+  // Codes other than the first one are left as they are on the destination discount
+  async _updateDiscount(existing, discount) {
+    const label = discount.codes[0] || discount.title
+    this.info(`[DISCOUNT ${discount.id}] ${label} updating ${existing.id}...`)
+    const type = DISCOUNT_TYPES[discount.__typename]
+    if (existing.type !== discount.__typename) {
+      throw new Error(`[DISCOUNT ${discount.id}] is a ${discount.__typename} but the destination discount is a ${existing.type}, use --delete-discounts to replace it`)
+    }
+    const mutation = `
+      mutation ${type.mutation}Update($id: ID!, $input: ${type.inputType}!) {
+        result: ${type.mutation}Update(id: $id, ${type.input}: $input) {
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `
+    const response = await this.destination.graphql(mutation, { id: existing.id, input: await this._discountInput(discount) })
+    if (response.errors) {
+      throw new Error(JSON.stringify(response.errors))
+    }
+    if (response.data.result.userErrors.length > 0) {
+      throw new Error(`[DISCOUNT ${discount.id}] Failed to update: ${response.data.result.userErrors[0].message}`)
+    }
+    this.ledger.record('discount', discount.id, existing.id, label, 'updated')
+    this.info(`[DISCOUNT ${discount.id}] updated.`)
+  }
+
+  async _deleteDiscount(existing) {
+    const automatic = existing.type.indexOf('DiscountAutomatic') === 0
+    const mutation = `
+      mutation ($id: ID!) {
+        result: ${automatic ? 'discountAutomaticDelete' : 'discountCodeDelete'}(id: $id) {
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `
+    const response = await this.destination.graphql(mutation, { id: existing.id })
+    if (response.errors) {
+      throw new Error(JSON.stringify(response.errors))
+    }
+    if (response.data.result.userErrors.length > 0) {
+      this.error(`Failed to delete discount ${existing.id}: ${response.data.result.userErrors[0].message}`)
+    }
+  }
+
+  /**
+   * Hosts the source store answers on, used to turn absolute redirect targets into paths.
+   */
+  async _sourceDomains() {
+    const response = await this.source.graphql('query { shop { myshopifyDomain primaryDomain { host } } }')
+    if (!response.data || !response.data.shop) {
+      this.warn('Could not read the source store domains, redirect targets will not be rewritten')
+      return []
+    }
+    const { myshopifyDomain, primaryDomain } = response.data.shop
+    return [myshopifyDomain, primaryDomain && primaryDomain.host].filter(host => host)
+  }
+
+  async _migrateRedirect(redirect, sourceDomains = []) {
+    this.info(`[REDIRECT ${redirect.id}] ${redirect.path} started...`)
+    let target = redirect.target
+    const match = target.match(/^(?:https?:)?\/\/([^/]+)(\/.*)?$/)
+    if (match && sourceDomains.indexOf(match[1]) !== -1) {
+      target = match[2] || '/'
+      this.info(`[REDIRECT ${redirect.id}] Target ${redirect.target} rewritten to ${target}`)
+    }
+    const newRedirect = await this.destination.redirect.create({ path: redirect.path, target })
+    this.ledger.record('redirect', redirect.id, newRedirect.id, redirect.path)
+    this.info(`[REDIRECT ${redirect.id}] duplicated. New id is ${newRedirect.id}.`)
+  }
+
+  async migrateMenus(deleteFirst = false, skipExisting = true) {
+    this.log('Menu migration started...')
+
+    // Fetch menus from the destination store
+    const destinationMenus = {}
+    const menus = await this._queryMenus(this.destination)
+    menus.forEach(menu => {
+      destinationMenus[menu.handle] = menu
+    })
+
+    // Fetch and migrate menus from the source store
+    const sourceMenus = await this._queryMenus(this.source)
+    await this.asyncForEach(sourceMenus, async (menu) => {
+      this.saveData && fs.writeFileSync(`data/menus/${menu.id}.json`, JSON.stringify(menu))
+      menu = await this._applyHooks('menu', menu)
+      if (!menu) {
+        return
+      }
+
+      // Default menus (main-menu, footer) can't be deleted, so replacing a menu rewrites its items in place
+      if (destinationMenus[menu.handle] && (this.updateExisting || deleteFirst)) {
+        if (this.dryRun) {
+          return this._plan('menus', this.updateExisting ? 'update' : 'replace', menu.handle)
+        }
+        if (deleteFirst) {
+          this.log(`[DUPLICATE MENU] Replacing items of destination menu ${menu.handle}`)
+        }
+        return this._attempt('menus', this.updateExisting ? 'update' : 'replace', menu.handle, menu.id, () => this._updateMenu(destinationMenus[menu.handle].id, menu))
+      }
+      if (destinationMenus[menu.handle] && skipExisting && !deleteFirst) {
+        this.log(`[EXISTING MENU] Skipping ${menu.handle}`)
+        return this._plan('menus', 'skip', menu.handle)
+      }
+      if (this.dryRun) {
+        return this._plan('menus', 'create', menu.handle)
+      }
+      await this._attempt('menus', 'create', menu.handle, menu.id, () => this._migrateMenu(menu))
+    }, this.concurrencyFor('menus'))
+
+    this._printPlan('menus')
+    this.log('Menu migration finished!')
+  }
+
+  async _queryMenus(client) {
+    const menus = []
+    let cursor = null
+    let hasNextPage = true
+    while (hasNextPage) {
+      const query = `
+        query {
+          menus(first: 250${cursor ? `, after: "${cursor}"` : ''}) {
+            edges {
+              node {
+                id
+                handle
+                title
+                items {
+                  ${MENU_ITEM_FIELDS}
+                  items {
+                    ${MENU_ITEM_FIELDS}
+                    items {
+                      ${MENU_ITEM_FIELDS}
+                    }
+                  }
+                }
+              }
+            }
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+          }
+        }
+      `
+      const response = await client.graphql(query)
+      if (!response.data || !response.data.menus) {
+        return menus
+      }
+      response.data.menus.edges.forEach(edge => menus.push(edge.node))
+      hasNextPage = response.data.menus.pageInfo ? response.data.menus.pageInfo.hasNextPage : false
+      cursor = hasNextPage ? response.data.menus.pageInfo.endCursor : null
+    }
+    return menus
+  }
+
+  /**
+   * Builds the `items` input of `menuCreate`/`menuUpdate` from a source menu tree,
+   * pointing the resource links at the matching destination resources.
+   */
+  async _menuItemsInput(menu, items = []) {
+    const input = []
+    // Sequential, so that siblings keep their order
+    for (const item of items) {
+      const itemInput = {
+        title: item.title,
+        type: item.type,
+        url: item.url,
+        tags: item.tags || [],
+        items: await this._menuItemsInput(menu, item.items)
+      }
+      if (MENU_RESOURCE_TYPES.indexOf(item.type) !== -1) {
+        const resourceId = await this._resolveMenuResource(item)
+        if (resourceId) {
+          itemInput.resourceId = resourceId
+        } else {
+          this.warn(`[MENU ${menu.id}] ${item.title}: could not find ${item.url} on the destination store, linking it as a plain URL`)
+          itemInput.type = 'HTTP'
+        }
+      }
+      input.push(itemInput)
+    }
+    return input
+  }
+
+  /**
+   * Finds the destination GID of the resource a menu item links to, through the ledger
+   * or by the handle found in the item URL (`/products/{handle}`, `/blogs/{blog}/{article}`, ...).
+   */
+  _resolveMenuResource(item) {
+    const path = (item.url || '').replace(/^https?:\/\/[^/]+/, '').split(/[?#]/)[0]
+    const key = `menu:${item.type}:${path}`
+    if (!this.references[key]) {
+      this.references[key] = this._findMenuResource(item, path.split('/').filter(p => p)).catch((e) => {
+        this.warn(`[REFERENCE ${item.resourceId}] ${e.message}`)
+        return null
+      })
+    }
+    return this.references[key]
+  }
+
+  async _findMenuResource(item, [, handle, articleHandle]) {
+    const id = item.resourceId && item.resourceId.split('/').pop()
+    const ledgerTypes = {
+      PRODUCT: ['product'],
+      COLLECTION: ['smart_collection', 'custom_collection'],
+      PAGE: ['page'],
+      BLOG: ['blog'],
+      ARTICLE: ['article']
+    }
+    const kind = item.type.charAt(0) + item.type.slice(1).toLowerCase()
+    const ledgerId = id && ledgerTypes[item.type].map(type => this.ledger.destinationId(type, id)).find(d => d)
+    if (ledgerId) {
+      return `gid://shopify/${kind}/${ledgerId}`
+    }
+    if (!handle) {
+      return null
+    }
+    let existing = []
+    if (item.type === 'PRODUCT') {
+      existing = await this.destination.product.list({ handle, fields: 'id' })
+    } else if (item.type === 'COLLECTION') {
+      const response = await this.destination.graphql(`query ($handle: String!) { collectionByHandle(handle: $handle) { id } }`, { handle })
+      return response.data && response.data.collectionByHandle ? response.data.collectionByHandle.id : null
+    } else if (item.type === 'PAGE') {
+      existing = await this.destination.page.list({ handle, fields: 'id' })
+    } else if (item.type === 'BLOG') {
+      existing = await this.destination.blog.list({ handle, fields: 'id' })
+    } else if (item.type === 'ARTICLE' && articleHandle) {
+      const blogs = await this.destination.blog.list({ handle, fields: 'id' })
+      existing = blogs.length ? await this.destination.article.list(blogs[0].id, { handle: articleHandle, fields: 'id' }) : []
+    }
+    return existing.length ? `gid://shopify/${kind}/${existing[0].id}` : null
+  }
+
+  async _migrateMenu(menu) {
+    this.info(`[MENU ${menu.id}] ${menu.handle} started...`)
+    const mutation = `
+      mutation menuCreate($title: String!, $handle: String!, $items: [MenuItemCreateInput!]!) {
+        menuCreate(title: $title, handle: $handle, items: $items) {
+          menu {
+            id
+            handle
+            title
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `
+    const variables = {
+      handle: menu.handle,
+      title: menu.title,
+      items: await this._menuItemsInput(menu, menu.items)
+    }
+    const response = await this.destination.graphql(mutation, variables)
+    if (response.data.menuCreate.userErrors.length > 0) {
+      throw new Error(`[MENU ${menu.id}] Failed to create: ${response.data.menuCreate.userErrors[0].message}`)
+    } else {
+      this.info(`[MENU ${menu.id}] duplicated. New id is ${response.data.menuCreate.menu.id}.`)
+      this.ledger.record('menu', menu.id, response.data.menuCreate.menu.id, menu.handle)
+    }
+  }
+
+  async _updateMenu(destinationId, menu) {
+    this.info(`[MENU ${menu.id}] ${menu.handle} updating ${destinationId}...`)
+    const mutation = `
+      mutation menuUpdate($id: ID!, $title: String!, $handle: String, $items: [MenuItemUpdateInput!]!) {
+        menuUpdate(id: $id, title: $title, handle: $handle, items: $items) {
+          menu {
+            id
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `
+    const variables = {
+      id: destinationId,
+      title: menu.title,
+      handle: menu.handle,
+      items: await this._menuItemsInput(menu, menu.items)
+    }
+    const response = await this.destination.graphql(mutation, variables)
+    if (response.data.menuUpdate.userErrors.length > 0) {
+      throw new Error(`[MENU ${menu.id}] Failed to update: ${response.data.menuUpdate.userErrors[0].message}`)
+    }
+    this.ledger.record('menu', menu.id, destinationId, menu.handle, 'updated')
+    this.info(`[MENU ${menu.id}] updated.`)
+  }
+
+  /**
+   * Copies a source theme (the published one unless `themeId` is given) into the destination store
+   * as an unpublished theme: every asset, the JSON templates and `config/settings_data.json`,
+   * with the resource IDs they hold pointed at the matching destination resources.
+   */
+  async migrateThemes(themeId = null, deleteFirst = false, skipExisting = true) {
+    this.log('Theme migration started...')
+    if (!this.source.theme) {
+      this.warn('Themes can only be copied from a live store, skipping')
+      return
+    }
+    const sourceThemes = await this.source.theme.list()
+    const theme = themeId
+      ? sourceThemes.find(t => `${t.id}` === `${themeId}`)
+      : sourceThemes.find(t => t.role === 'main')
+    if (!theme) {
+      throw new Error(themeId ? `Theme ${themeId} not found on the source store` : 'The source store has no published theme')
+    }
+
+    const destinationThemes = await this.destination.theme.list()
+    const existing = destinationThemes.find(t => t.name === theme.name)
+    if (existing && existing.role === 'main' && (this.updateExisting || deleteFirst)) {
+      throw new Error(`[THEME ${theme.id}] ${theme.name} is published on the destination store and can't be overwritten`)
+    }
+    if (existing && !this.updateExisting && !deleteFirst && skipExisting) {
+      this.log(`[EXISTING THEME] Skipping ${theme.name}`)
+      this._plan('themes', 'skip', theme.name)
+      return this._printPlan('themes')
+    }
+    const action = existing && this.updateExisting ? 'update' : 'create'
+    if (existing && action === 'create' && deleteFirst) {
+      this._plan('themes', 'replace', theme.name)
+      if (!this.dryRun) {
+        this.log(`[DUPLICATE THEME] Deleting destination theme ${theme.name}`)
+        await this.destination.theme.delete(existing.id)
+      }
+    } else if (this.dryRun) {
+      this._plan('themes', action, theme.name)
+    }
+
+    if (!this.dryRun) {
+      if (action === 'update') {
+        this.log(`[EXISTING THEME] Overwriting the assets of ${theme.name}`)
+      }
+      await this._attempt('themes', action, theme.name, theme.id, () => this._migrateTheme(theme, action === 'update' ? existing : null))
+    }
+    this._printPlan('themes')
+    this.log('Theme migration finished!')
+  }
+
+  async _migrateTheme(theme, existing = null) {
+    this.info(`[THEME ${theme.id}] ${theme.name} started...`)
+    let destinationTheme = existing
+    if (!destinationTheme) {
+      destinationTheme = await this.destination.theme.create({ name: theme.name, role: 'unpublished' })
+      this.ledger.record('theme', theme.id, destinationTheme.id, theme.name)
+      this.info(`[THEME ${theme.id}] created. New id is ${destinationTheme.id}.`)
+    }
+    await this._waitForTheme(destinationTheme.id)
+
+    // Sections and snippets go first: JSON templates and settings can only refer to sections that exist
+    const assets = await this.source.asset.list(theme.id)
+    const isLast = asset => /^(templates|sections)\/.*\.json$/.test(asset.key) || asset.key === 'config/settings_data.json'
+    const phases = [
+      assets.filter(asset => !isLast(asset)),
+      assets.filter(asset => isLast(asset) && asset.key.indexOf('sections/') === 0),
+      assets.filter(asset => isLast(asset) && asset.key.indexOf('templates/') === 0),
+      assets.filter(asset => asset.key === 'config/settings_data.json')
+    ]
+    for (const phase of phases) {
+      await this.asyncForEach(phase, async (asset) => {
+        try {
+          await this._migrateAsset(theme, destinationTheme.id, asset.key)
+        } catch (e) {
+          this._plan('theme assets', 'fail', asset.key, { sourceId: theme.id, error: e })
+          this.error(`[THEME ${theme.id}] ${asset.key} FAILED TO BE COPIED PROPERLY. ${e.message}`)
+        }
+      }, this.concurrencyFor('themes'))
+    }
+    this.info(`[THEME ${theme.id}] duplicated as unpublished theme ${destinationTheme.id}.`)
+  }
+
+  async _waitForTheme(themeId) {
+    for (let attempt = 0; attempt < 60; attempt++) {
+      const theme = await this.destination.theme.get(themeId, { fields: 'id,processing' })
+      if (!theme.processing) {
+        return
+      }
+      await new Promise(resolve => setTimeout(resolve, 2000))
+    }
+    throw new Error(`Theme ${themeId} is still processing on the destination store`)
+  }
+
+  async _migrateAsset(theme, destinationThemeId, key) {
+    const asset = await this.source.asset.get(theme.id, { asset: { key } })
+    const input = { key }
+    if (asset.attachment) {
+      input.attachment = asset.attachment
+    } else {
+      input.value = /\.json$/.test(key) ? await this._remapThemeJson(asset.value, `THEME ${theme.id}] [${key}`) : asset.value
+    }
+    await this.destination.asset.update(destinationThemeId, input)
+    this.info(`[THEME ${theme.id}] ${key} done!`)
+  }
+
+  /**
+   * Points the resource GIDs found in a JSON template or settings file at the destination resources.
+   * Settings holding handles (`product`, `collection`, `page`, `link_list`) keep working as is,
+   * as long as the resources were migrated with the same handles.
+   */
+  async _remapThemeJson(value, label) {
+    const gids = value.match(/gid:\/\/shopify\/\w+\/\d+/g)
+    if (!gids) {
+      return value
+    }
+    const remapped = {}
+    await this.asyncForEach([...new Set(gids)], async (gid) => {
+      const destinationId = await this._resolveThemeReference(gid)
+      if (destinationId) {
+        remapped[gid] = destinationId
+      } else {
+        this.warn(`[${label}] could not resolve ${gid} on the destination store, leaving it as is`)
+      }
+    })
+    // Numeric ids are matched as a whole so that `Product/12` does not rewrite `Product/123`
+    return value.replace(/gid:\/\/shopify\/\w+\/\d+/g, gid => remapped[gid] || gid)
+  }
 
-    do {
-      const products = await this.source.product.list(params)
-      products.forEach(p => sourceProducts.push(p))
-      params = products.nextPageParameters;
-    } while (params !== undefined);
+  async _resolveThemeReference(gid) {
+    const [, kind] = gid.match(/^gid:\/\/shopify\/(\w+)\//)
+    if (kind === 'Menu') {
+      return this.ledger.destinationId('menu', gid)
+    }
+    return this._resolveReference(gid)
+  }
 
-    params = { limit: 250 }
-    do {
-      const products = await this.destination.product.list(params)
-      products.forEach(p => destinationProducts.push(p))
-      params = products.nextPageParameters;
-    } while (params !== undefined);
+  /**
+   * Copies the translations of products, collections, pages, blogs, articles, menus, menu items and metafields
+   * into the alternate locales of the source store, enabling the ones missing on the destination store first.
+   * Resources are matched through the ledger, then by handle (menus by handle, their items by position,
+   * metafields by namespace and key on the matched owner), and translations are registered against the
+   * content digests of the destination resources.
+   */
+  async migrateTranslations() {
+    this.log('Translation migration started...')
+    const locales = await this._migrateLocales()
+    this._printPlan('locales')
+    if (!locales.length) {
+      this.log('No alternate locale to copy translations into.')
+      return
+    }
+    // Source GID => destination GID of the resources owning metafields
+    const owners = {}
+    const shops = await Promise.all([this.source, this.destination].map(client => client.graphql('query { shop { id } }')))
+    if (shops.every(shop => shop.data && shop.data.shop)) {
+      owners[shops[0].data.shop.id] = shops[1].data.shop.id
+    }
+    const menus = await this._mapMenus()
+    // Translatable type => destination resources by GID and by handle
+    const targets = {}
+    await this.asyncForEach(Object.keys(TRANSLATABLE_TYPES), type => this._migrateTranslations(type, locales, owners, menus, targets))
+    this._printPlan('translations')
+    this.log('Translation migration finished!')
+  }
 
-    destinationProducts.forEach(p => {
-      const sourceProduct = sourceProducts.find(s => s.handle === p.handle)
-      if (sourceProduct) {
-        productMap[sourceProduct.id] = p.id
+  /**
+   * Enables the alternate source locales missing on the destination store, published when they are published on the source.
+   * Returns the locales translations are copied into.
+   */
+  async _migrateLocales() {
+    const source = await this._queryShopLocales(this.source)
+    const destination = await this._queryShopLocales(this.destination)
+    const sourcePrimary = source.find(l => l.primary)
+    const destinationPrimary = destination.find(l => l.primary)
+    if (sourcePrimary && destinationPrimary && sourcePrimary.locale !== destinationPrimary.locale) {
+      this.warn(`[LOCALES] The primary locale is ${sourcePrimary.locale} on the source store and ${destinationPrimary.locale} on the destination store`)
+    }
+    const locales = []
+    await this.asyncForEach(source.filter(l => !l.primary), async (shopLocale) => {
+      const existing = destination.find(l => l.locale === shopLocale.locale)
+      if (existing && existing.primary) {
+        this.warn(`[LOCALE ${shopLocale.locale}] is the primary locale of the destination store, its translations are left out`)
+        return this._plan('locales', 'skip', shopLocale.locale)
+      }
+      locales.push(shopLocale.locale)
+      if (existing) {
+        return this._plan('locales', 'skip', shopLocale.locale)
+      }
+      if (this.dryRun) {
+        return this._plan('locales', 'create', shopLocale.locale)
       }
+      await this._attempt('locales', 'create', shopLocale.locale, shopLocale.locale, () => this._enableLocale(shopLocale))
     })
+    return locales
+  }
 
-    params = { limit: 250 }
-    do {
-      const collections = await this.destination.smartCollection.list(params)
-      await this.asyncForEach(collections, async (collection) => {
-        destinationCollections[collection.handle] = collection.id
-      })
-      params = collections.nextPageParameters;
-    } while (params !== undefined);
-    params = { limit: 250 }
-
+  async _queryShopLocales(client) {
+    const response = await client.graphql('query { shopLocales { locale name primary published } }')
+    if (response.errors) {
+      throw new Error(JSON.stringify(response.errors))
+    }
+    return response.data.shopLocales
+  }
 
-    do {
-      const collections = await this.destination.customCollection.list(params)
-      await this.asyncForEach(collections, async (collection) => {
-        destinationCollections[collection.handle] = collection.id
-      })
-      params = collections.nextPageParameters;
-    } while (params !== undefined);
-    params = { limit: 250 }
-    do {
-      const collections = await this.source.customCollection.list(params)
-      await this.asyncForEach(collections, async (collection) => {
-        this.saveData && fs.writeFileSync(`data/collections/${collection.id}.json`, JSON.stringify(collection));
-        if (destinationCollections[collection.handle] && deleteFirst) {
-          this.log(`[DUPLICATE COLLECTION] Deleting destination collection ${collection.handle}`)
-          await this.destination.customCollection.delete(destinationCollections[collection.handle])
-        }
-        if (destinationCollections[collection.handle] && skipExisting && !deleteFirst) {
-          this.log(`[EXISTING COLLECTION] Skipping ${collection.handle}`)
-          return
+  async _enableLocale(shopLocale) {
+    this.info(`[LOCALE ${shopLocale.locale}] ${shopLocale.name} started...`)
+    const mutation = `
+      mutation shopLocaleEnable($locale: String!) {
+        shopLocaleEnable(locale: $locale) {
+          shopLocale {
+            locale
+          }
+          userErrors {
+            field
+            message
+          }
         }
-        try {
-          await this._migrateCustomCollection(collection, productMap)
-        } catch (e) {
-          this.error(`[COLLECTION] ${collection.handle} FAILED TO BE CREATED PROPERLY.`, e)
+      }
+    `
+    const response = await this.destination.graphql(mutation, { locale: shopLocale.locale })
+    if (response.errors) {
+      throw new Error(JSON.stringify(response.errors))
+    }
+    if (response.data.shopLocaleEnable.userErrors.length > 0) {
+      throw new Error(`[LOCALE ${shopLocale.locale}] Failed to enable: ${response.data.shopLocaleEnable.userErrors[0].message}`)
+    }
+    if (shopLocale.published) {
+      const update = `
+        mutation shopLocaleUpdate($locale: String!, $shopLocale: ShopLocaleInput!) {
+          shopLocaleUpdate(locale: $locale, shopLocale: $shopLocale) {
+            userErrors {
+              field
+              message
+            }
+          }
         }
-      })
-      params = collections.nextPageParameters;
-    } while (params !== undefined);
-    this.log('Custom Collection migration finished!')
+      `
+      const published = await this.destination.graphql(update, { locale: shopLocale.locale, shopLocale: { published: true } })
+      if (published.errors) {
+        throw new Error(JSON.stringify(published.errors))
+      }
+      if (published.data.shopLocaleUpdate.userErrors.length > 0) {
+        throw new Error(`[LOCALE ${shopLocale.locale}] Failed to publish: ${published.data.shopLocaleUpdate.userErrors[0].message}`)
+      }
+    }
+    this.ledger.record('locale', shopLocale.locale, shopLocale.locale, shopLocale.name)
+    this.info(`[LOCALE ${shopLocale.locale}] enabled${shopLocale.published ? ' and published' : ''}.`)
   }
 
-  async migrateBlogs(deleteFirst = false, skipExisting = true) {
-    this.log('Blog migration started...')
-    let params = { limit: 250 }
-    const destinationBlogs = {}
+  // Numeric ids of the source menus and menu items => destination ones, menus being matched by handle and items by position
+  async _mapMenus() {
+    const map = { MENU: {}, LINK: {} }
+    const destinationMenus = {}
+    const menus = await this._queryMenus(this.destination)
+    menus.forEach((menu) => {
+      destinationMenus[menu.handle] = menu
+    })
+    const mapItems = (items = [], destinationItems = []) => items.forEach((item, i) => {
+      const match = destinationItems[i]
+      if (match && match.type === item.type) {
+        map.LINK[item.id.split('/').pop()] = match.id.split('/').pop()
+        mapItems(item.items, match.items)
+      }
+    })
+    const sourceMenus = await this._queryMenus(this.source)
+    sourceMenus.filter(menu => destinationMenus[menu.handle]).forEach((menu) => {
+      map.MENU[menu.id.split('/').pop()] = destinationMenus[menu.handle].id.split('/').pop()
+      mapItems(menu.items, destinationMenus[menu.handle].items)
+    })
+    return map
+  }
+
+  async _migrateTranslations(type, locales, owners, menus, targets) {
+    this.log(`[TRANSLATIONS] ${type} started...`)
+    const destination = {}
+    const handles = {}
+    let cursor = null
     do {
-      const blogs = await this.destination.blog.list(params)
-      await this.asyncForEach(blogs, async (blog) => {
-        destinationBlogs[blog.handle] = blog.id
+      const page = await this._queryTranslatableResources(this.destination, type, locales, cursor)
+      page.resources.forEach((resource) => {
+        destination[resource.resourceId] = resource
+        const handle = resource.translatableContent.find(content => content.key === 'handle')
+        if (handle) {
+          handles[handle.value] = resource
+        }
       })
-      params = blogs.nextPageParameters;
-    } while (params !== undefined);
-    params = { limit: 250 }
-    do {
-      const blogs = await this.source.blog.list(params)
-      await this.asyncForEach(blogs, async (blog) => {
-        this.saveData && fs.writeFileSync(`data/blogs/${blog.id}.json`, JSON.stringify(blog));
+      cursor = page.endCursor
+    } while (cursor)
+    targets[type] = { destination, handles }
 
-        if (destinationBlogs[blog.handle] && deleteFirst) {
-          this.log(`[DUPLICATE blog] Deleting destination blog ${blog.handle}`)
-          await this.destination.blog.delete(destinationBlogs[blog.handle])
+    const checkpointType = `translations:${type}`
+    cursor = this.checkpoint.cursor(checkpointType)
+    let hasNextPage = true
+    while (hasNextPage) {
+      const page = await this._queryTranslatableResources(this.source, type, locales, cursor)
+      await this.checkpointedForEach(checkpointType, cursor, page.endCursor, page.resources, async (resource) => {
+        const translated = locales.some(locale => resource.translations[locale].length)
+        // Untranslated resources are still mapped for the metafields they own, untranslated metafields are not worth looking up
+        if (type === 'METAFIELD' && !translated) {
+          return
         }
-        if (destinationBlogs[blog.handle] && skipExisting && !deleteFirst) {
-          this.log(`[EXISTING BLOG] Skipping ${blog.handle}`)
+        const target = await this._translationTarget(type, resource, destination, handles, owners, menus, targets)
+        if (target && type !== 'METAFIELD') {
+          owners[resource.resourceId.replace(/\/OnlineStore(Page|Blog|Article)\//, '/$1/')] = target.resourceId.replace(/\/OnlineStore(Page|Blog|Article)\//, '/$1/')
+        }
+        if (!translated) {
           return
         }
-        await this._migrateBlog(blog)
-      })
-      params = blogs.nextPageParameters;
-    } while (params !== undefined);
-    this.log('Blog migration finished!')
-  }
-
-  async migrateArticles(deleteFirst = false, skipExisting = true) {
-    const blogParams = {limit: 250}
-    const sourceBlogs = await this.source.blog.list(blogParams)
-    const destinationBlogs = await this.destination.blog.list(blogParams)
-    const matchingBlogs = sourceBlogs.filter((sourceBlog) => {
-      return destinationBlogs.find(destinationBlog => destinationBlog.handle === sourceBlog.handle)
-    })
-    this.log(`Migrating articles for ${matchingBlogs.length} matching blog(s): ${matchingBlogs.map(b => b.handle).join(', ')}`)
-
-    this.asyncForEach(matchingBlogs, async (blog) => {
-      const destinationBlog = destinationBlogs.find(b => b.handle === blog.handle)
-      let params = { limit: 250 }
-      const destinationArticles = {}
-      do {
-        const articles = await this.destination.article.list(destinationBlog.id, params)
-        await this.asyncForEach(articles, async (article) => {
-          destinationArticles[article.handle] = article.id
+        const label = `${type} ${resource.resourceId.split('/').pop()}`
+        if (!target) {
+          this.log(`[TRANSLATION ${resource.resourceId}] Not found on the destination store, skipping`)
+          return this._plan('translations', 'skip', label)
+        }
+        const translations = []
+        let existing = false
+        locales.forEach((locale) => {
+          resource.translations[locale].filter(t => t.value).forEach(({ key, value }) => {
+            const content = target.translatableContent.find(c => c.key === key)
+            const current = target.translations[locale].find(t => t.key === key)
+            existing = existing || !!current
+            if (content && !(current && current.value === value && !current.outdated)) {
+              translations.push({ locale, key, value, translatableContentDigest: content.digest })
+            }
+          })
         })
-        params = articles.nextPageParameters;
-      } while (params !== undefined);
-
-      params = { limit: 250 }
-      do {
-        const articles = await this.source.article.list(blog.id, params)
-        await this.asyncForEach(articles, async (article) => {
-          this.saveData && fs.writeFileSync(`data/articles/${article.id}.json`, JSON.stringify(article));
-          if (destinationArticles[article.handle] && deleteFirst) {
-            this.log(`[DUPLICATE article] Deleting destination article ${article.handle}`)
-            await this.destination.article.delete(destinationBlog.id, destinationArticles[article.handle])
-          }
-          if (destinationArticles[article.handle] && skipExisting && !deleteFirst) {
-            this.log(`[EXISTING ARTICLE] Skipping ${article.handle}`)
-            return
-          }
-          await this._migrateArticle(destinationBlog.id, article)
+        if (!translations.length) {
+          return this._plan('translations', 'skip', label)
+        }
+        const action = existing ? 'update' : 'create'
+        if (this.dryRun) {
+          return this._plan('translations', action, label)
+        }
+        return this._attempt('translations', action, label, resource.resourceId, async () => {
+          await this._registerTranslations(target.resourceId, translations)
+          this.ledger.record('translation', resource.resourceId, target.resourceId, locales.join(','), existing ? 'updated' : 'created')
         })
-        params = articles.nextPageParameters;
-      } while (params !== undefined);
-    })
+      })
+      hasNextPage = !!page.endCursor
+      cursor = page.endCursor
+    }
   }
-  async migrateMenus(deleteFirst = false, skipExisting = true) {
-    this.log('Menu migration started...')
-    const destinationMenus = {}
 
-    // Fetch menus from the destination store
-    const destinationQuery = `
-      query {
-        menus(first: 250) {
+  /**
+   * Translatable resources of a type with their content and, for every locale, their translations (in `translations[locale]`).
+   * `endCursor` is only set when there is a next page.
+   */
+  async _queryTranslatableResources(client, type, locales, cursor = null) {
+    const query = `
+      query ($type: TranslatableResourceType!, $after: String) {
+        translatableResources(first: 50, resourceType: $type, after: $after) {
           edges {
             node {
-              id
-              handle
-              title
-              items {
-                id
-                title
-                url
-                type
+              resourceId
+              translatableContent {
+                key
+                value
+                digest
               }
+              ${locales.map((locale, i) => `t${i}: translations(locale: "${locale}") { key value outdated }`).join('\n')}
             }
           }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
         }
       }
     `
-    const destinationResponse = await this.destination.graphql(destinationQuery)
-    if (destinationResponse.data && destinationResponse.data.menus) {
-      destinationResponse.data.menus.edges.forEach(edge => {
-        destinationMenus[edge.node.handle] = edge.node
-      })
+    const response = await client.graphql(query, { type, after: cursor })
+    if (response.errors) {
+      throw new Error(JSON.stringify(response.errors))
+    }
+    const { edges, pageInfo } = response.data.translatableResources
+    return {
+      resources: edges.map(({ node }) => {
+        const translations = {}
+        locales.forEach((locale, i) => {
+          translations[locale] = node[`t${i}`] || []
+        })
+        // `id` lets the checkpoint find where a page was left off
+        return { id: node.resourceId, resourceId: node.resourceId, translatableContent: node.translatableContent, translations }
+      }),
+      endCursor: pageInfo.hasNextPage ? pageInfo.endCursor : null
     }
+  }
 
-    // Fetch and migrate menus from the source store
-    const sourceQuery = `
-      query {
-        menus(first: 250) {
-          edges {
-            node {
+  // Destination translatable resource matching a source one, or `null`
+  async _translationTarget(type, resource, destination, handles, owners, menus, targets) {
+    const id = resource.resourceId.split('/').pop()
+    const ledgerId = TRANSLATABLE_TYPES[type].map(ledgerType => this.ledger.destinationId(ledgerType, id)).find(destinationId => destinationId)
+    const mappedId = ledgerId || (menus[type] && menus[type][id])
+    if (mappedId && destination[resource.resourceId.replace(/\d+$/, mappedId)]) {
+      return destination[resource.resourceId.replace(/\d+$/, mappedId)]
+    }
+    const handle = resource.translatableContent.find(content => content.key === 'handle')
+    if (handle && handles[handle.value]) {
+      return handles[handle.value]
+    }
+    return type === 'METAFIELD' ? this._metafieldTranslationTarget(resource.resourceId, destination, owners, targets) : null
+  }
+
+  // Destination metafield with the namespace and key of a source metafield, on the destination copy of its owner
+  async _metafieldTranslationTarget(gid, destination, owners, targets) {
+    const response = await this.source.graphql(`query ($id: ID!) { node(id: $id) { ... on Metafield { namespace key owner { ... on Node { id } } } } }`, { id: gid })
+    const metafield = response.data && response.data.node
+    if (!metafield || !metafield.owner) {
+      return null
+    }
+    const [, kind, id] = metafield.owner.id.match(/^gid:\/\/shopify\/(\w+)\/(\d+)/) || []
+    const variantId = kind === 'ProductVariant' && this.ledger.destinationId('variant', id)
+    const owner = variantId ? `gid://shopify/ProductVariant/${variantId}` : await this._translationOwner(metafield.owner.id, owners, targets)
+    if (!owner) {
+      return null
+    }
+    const found = await this.destination.graphql(`
+      query ($id: ID!, $namespace: String!, $key: String!) {
+        node(id: $id) {
+          ... on HasMetafields {
+            metafield(namespace: $namespace, key: $key) {
               id
-              handle
-              title
-              items {
-                id
-                title
-                url
-                type
-              }
             }
           }
         }
       }
-    `
-    const sourceResponse = await this.source.graphql(sourceQuery)
-    if (sourceResponse.data && sourceResponse.data.menus) {
-      await this.asyncForEach(sourceResponse.data.menus.edges, async (edge) => {
-        const menu = edge.node
-        this.saveData && fs.writeFileSync(`data/menus/${menu.id}.json`, JSON.stringify(menu))
-
-        if (destinationMenus[menu.handle] && deleteFirst) {
-          this.log(`[DUPLICATE MENU] Deleting destination menu ${menu.handle}`)
-          await this._deleteMenu(destinationMenus[menu.handle].id)
-        }
-        if (destinationMenus[menu.handle] && skipExisting && !deleteFirst) {
-          this.log(`[EXISTING MENU] Skipping ${menu.handle}`)
-          return
-        }
-        await this._migrateMenu(menu)
-      })
-    }
+    `, { id: owner, namespace: metafield.namespace, key: metafield.key })
+    const destinationMetafield = found.data && found.data.node && found.data.node.metafield
+    return destinationMetafield ? destination[destinationMetafield.id] || null : null
+  }
 
-    this.log('Menu migration finished!')
+  /**
+   * Destination GID of the owner of a metafield. Owners are mapped while walking their type, but the walk of a resumed
+   * run starts past the resources it already handled: those are then matched on their own, the same way.
+   */
+  async _translationOwner(gid, owners, targets) {
+    const type = TRANSLATION_OWNER_TYPES[(gid.match(/^gid:\/\/shopify\/(\w+)\//) || [])[1]]
+    if (owners[gid] || !type || !targets[type]) {
+      return owners[gid] || null
+    }
+    const query = `query ($id: ID!) { translatableResource(resourceId: $id) { resourceId translatableContent { key value digest } } }`
+    const response = await this.source.graphql(query, { id: gid.replace(/\/(Page|Blog|Article)\//, '/OnlineStore$1/') })
+    const resource = response.data && response.data.translatableResource
+    const target = resource && await this._translationTarget(type, resource, targets[type].destination, targets[type].handles, owners, {}, targets)
+    if (target) {
+      owners[gid] = target.resourceId.replace(/\/OnlineStore(Page|Blog|Article)\//, '/$1/')
+    }
+    return owners[gid] || null
   }
 
-  async _migrateMenu(menu) {
-    this.info(`[MENU ${menu.id}] ${menu.handle} started...`)
+  async _registerTranslations(resourceId, translations) {
     const mutation = `
-      mutation menuCreate($input: MenuInput!) {
-        menuCreate(input: $input) {
-          menu {
-            id
-            handle
-            title
+      mutation translationsRegister($resourceId: ID!, $translations: [TranslationInput!]!) {
+        translationsRegister(resourceId: $resourceId, translations: $translations) {
+          translations {
+            key
+            locale
           }
           userErrors {
             field
@@ -858,44 +4428,286 @@ class Migrator {
         }
       }
     `
-    const variables = {
-      input: {
-        handle: menu.handle,
-        title: menu.title,
-        items: menu.items.map(item => ({
-          title: item.title,
-          url: item.url,
-          type: item.type
-        }))
-      }
+    const response = await this.destination.graphql(mutation, { resourceId, translations })
+    if (response.errors) {
+      throw new Error(JSON.stringify(response.errors))
     }
-    const response = await this.destination.graphql(mutation, variables)
-    if (response.data.menuCreate.userErrors.length > 0) {
-      throw new Error(`[MENU ${menu.id}] Failed to create: ${response.data.menuCreate.userErrors[0].message}`)
-    } else {
-      this.info(`[MENU ${menu.id}] duplicated. New id is ${response.data.menuCreate.menu.id}.`)
+    if (response.data.translationsRegister.userErrors.length > 0) {
+      throw new Error(response.data.translationsRegister.userErrors[0].message)
     }
+    this.info(`[TRANSLATION ${resourceId}] ${translations.length} translations registered.`)
   }
 
-  async _deleteMenu(menuId) {
-    const mutation = `
-      mutation menuDelete($id: ID!) {
-        menuDelete(id: $id) {
-          deletedMenuId
-          userErrors {
-            field
-            message
-          }
+  /**
+   * Writes a complete bundle of the source store, to be replayed later with `restore`.
+   */
+  async snapshot(snapshot) {
+    this.log(`Snapshot of the source store started in ${snapshot.dir}...`)
+    const products = await this._listAll(params => this.source.product.list(params))
+    snapshot.write('products', products)
+    this.info(`[SNAPSHOT] ${products.length} products`)
+    const smartCollections = await this._listAll(params => this.source.smartCollection.list(params))
+    snapshot.write('smart_collections', smartCollections)
+    this.info(`[SNAPSHOT] ${smartCollections.length} smart collections`)
+    const customCollections = await this._listAll(params => this.source.customCollection.list(params))
+    snapshot.write('custom_collections', customCollections)
+    this.info(`[SNAPSHOT] ${customCollections.length} custom collections`)
+    const collectionProducts = {}
+    await this.asyncForEach(customCollections, async (collection) => {
+      const collectionProductList = await this._listAll(params => this.source.collection.products(collection.id, params))
+      collectionProducts[collection.id] = collectionProductList.map(p => p.id)
+    }, this.concurrencyFor('collections'))
+    snapshot.write('collection_products', collectionProducts)
+    const pages = await this._listAll(params => this.source.page.list(params))
+    snapshot.write('pages', pages)
+    this.info(`[SNAPSHOT] ${pages.length} pages`)
+    const blogs = await this._listAll(params => this.source.blog.list(params))
+    snapshot.write('blogs', blogs)
+    this.info(`[SNAPSHOT] ${blogs.length} blogs`)
+    const articles = []
+    await this.asyncForEach(blogs, async (blog) => {
+      const blogArticles = await this._listAll(params => this.source.article.list(blog.id, params))
+      blogArticles.forEach(a => articles.push(a))
+    })
+    snapshot.write('articles', articles)
+    this.info(`[SNAPSHOT] ${articles.length} articles`)
+
+    const metafields = await this._getMetafields()
+    const owners = [
+      ['product', products, 'products'],
+      ['smart_collection', smartCollections, 'collections'],
+      ['custom_collection', customCollections, 'collections'],
+      ['page', pages, 'pages'],
+      ['blog', blogs, 'blogs'],
+      ['article', articles, 'articles']
+    ]
+    await this.asyncForEach(owners, async ([resource, items, type]) => {
+      await this.asyncForEach(items, async (item) => {
+        const resourceMetafields = await this._getMetafields(resource, item.id)
+        resourceMetafields.forEach(m => metafields.push({ ...m, owner_resource: resource, owner_id: item.id }))
+      }, this.concurrencyFor(type))
+    })
+    snapshot.write('metafields', metafields)
+    this.info(`[SNAPSHOT] ${metafields.length} metafields`)
+
+    const files = []
+    let hasNextPage = true
+    let cursor = null
+    while (hasNextPage) {
+      const page = await this._queryFiles(this.source, cursor)
+      page.edges.forEach(edge => files.push(edge.node))
+      hasNextPage = page.pageInfo.hasNextPage
+      cursor = page.pageInfo.endCursor
+    }
+    snapshot.write('files', files)
+    this.info(`[SNAPSHOT] ${files.length} files`)
+    const menus = await this._queryMenus(this.source)
+    snapshot.write('menus', menus)
+    this.info(`[SNAPSHOT] ${menus.length} menus`)
+    const redirects = await this._listAll(params => this.source.redirect.list(params))
+    snapshot.write('redirects', redirects)
+    this.info(`[SNAPSHOT] ${redirects.length} redirects`)
+
+    const shop = await this.source.graphql('query { shop { name myshopifyDomain } }')
+    snapshot.writeManifest({
+      shop: shop.data && shop.data.shop.name,
+      domain: shop.data && shop.data.shop.myshopifyDomain,
+      apiVersion: this._apiVersion(this.config.source),
+      counts: {
+        products: products.length,
+        smart_collections: smartCollections.length,
+        custom_collections: customCollections.length,
+        pages: pages.length,
+        blogs: blogs.length,
+        articles: articles.length,
+        metafields: metafields.length,
+        files: files.length,
+        menus: menus.length,
+        redirects: redirects.length
+      }
+    })
+    this.log('Snapshot finished!')
+  }
+
+  /**
+   * Compares the source and destination stores, matching resources the same way the migrators do.
+   * Returns `{ [type]: { missing, extra, changed: [{ key, changes: [{ field, source, destination }] }] } }`.
+   * Resource metafields are only compared with `withMetafields`, as they take one request per resource.
+   */
+  async diff(types, { withMetafields = false } = {}) {
+    const report = {}
+    const metafieldKey = m => `${m.namespace}.${m.key}`
+    const compareMetafield = (a, b) => compareFields(a, b, ['value', 'type'])
+    const compareResourceMetafields = async (resource, source, destination) => {
+      if (!withMetafields) {
+        return []
+      }
+      const sourceMetafields = (await this._getMetafields(resource, source.id)).filter(m => m.namespace.indexOf('app--') !== 0)
+      const destinationMetafields = (await this._getMetafields(resource, destination.id, this.destination)).filter(m => m.namespace.indexOf('app--') !== 0)
+      return diffChildren('metafield', sourceMetafields, destinationMetafields, metafieldKey, compareMetafield)
+    }
+    const diffAsync = async (type, sourceItems, destinationItems, keyOf, compare) => {
+      const pairs = []
+      const result = diffResources(sourceItems, destinationItems, keyOf, (a, b) => {
+        pairs.push([a, b])
+        return []
+      })
+      await this.asyncForEach(pairs, async ([a, b]) => {
+        const changes = await compare(a, b)
+        if (changes.length) {
+          result.changed.push({ key: keyOf(a), changes })
         }
+      }, this.concurrencyFor(type))
+      report[type] = result
+      this.info(`[DIFF] ${type} compared`)
+    }
+
+    if (types.indexOf('products') !== -1) {
+      // Media in order, as their type and alt text, since their URLs differ between stores
+      const productMedia = async (client, product) => (await this._queryProductMedia(client, product.id)).media
+        .map(media => media.alt ? `${media.mediaContentType} ${media.alt}` : media.mediaContentType)
+        .join('; ')
+      const sourceProducts = await this._listAll(params => this.source.product.list(params))
+      const destinationProducts = await this._listAll(params => this.destination.product.list(params))
+      await diffAsync('products', sourceProducts, destinationProducts, p => p.handle, async (a, b) => [
+        ...compareFields(a, b, {
+          title: p => p.title,
+          body_html: p => p.body_html,
+          vendor: p => p.vendor,
+          product_type: p => p.product_type,
+          status: p => p.status,
+          template_suffix: p => p.template_suffix,
+          tags: p => normalizeTags(p.tags),
+          options: p => (p.options || []).map(o => `${o.name}: ${o.values.join('/')}`).join('; ')
+        }),
+        ...compareFields({ media: await productMedia(this.source, a) }, { media: await productMedia(this.destination, b) }, ['media']),
+        ...diffChildren('variant', a.variants || [], b.variants || [], v => v.sku || variantOptions(v), (v, w) => compareFields(v, w, [
+          'price', 'compare_at_price', 'sku', 'barcode', 'weight', 'weight_unit', 'inventory_policy', 'taxable', 'requires_shipping'
+        ])),
+        ...await compareResourceMetafields('product', a, b)
+      ])
+    }
+
+    if (types.indexOf('collections') !== -1) {
+      const listCollections = async (client) => {
+        const smart = await this._listAll(params => client.smartCollection.list(params))
+        const custom = await this._listAll(params => client.customCollection.list(params))
+        return [
+          ...smart.map(c => ({ ...c, kind: 'smart' })),
+          ...custom.map(c => ({ ...c, kind: 'custom' }))
+        ]
       }
-    `
-    const variables = {
-      id: menuId
+      const collectionProducts = async (client, collection) => {
+        const products = await this._listAll(params => client.collection.products(collection.id, params))
+        return products.map(p => ({ handle: p.handle }))
+      }
+      await diffAsync('collections', await listCollections(this.source), await listCollections(this.destination), c => c.handle, async (a, b) => [
+        ...compareFields(a, b, {
+          kind: c => c.kind,
+          title: c => c.title,
+          body_html: c => c.body_html,
+          sort_order: c => c.sort_order,
+          template_suffix: c => c.template_suffix,
+          disjunctive: c => c.disjunctive,
+          rules: c => c.rules && c.rules.map(r => `${r.column} ${r.relation} ${r.condition}`).sort().join('; ')
+        }),
+        ...(a.kind === 'custom' && b.kind === 'custom' ? diffChildren('product', await collectionProducts(this.source, a), await collectionProducts(this.destination, b), p => p.handle, () => []) : []),
+        ...await compareResourceMetafields(a.kind === 'smart' ? 'smart_collection' : 'custom_collection', a, b)
+      ])
     }
-    const response = await this.destination.graphql(mutation, variables)
-    if (response.data.menuDelete.userErrors.length > 0) {
-      this.error(`Failed to delete menu ${menuId}: ${response.data.menuDelete.userErrors[0].message}`)
+
+    if (types.indexOf('pages') !== -1) {
+      const sourcePages = await this._listAll(params => this.source.page.list(params))
+      const destinationPages = await this._listAll(params => this.destination.page.list(params))
+      await diffAsync('pages', sourcePages, destinationPages, p => p.handle, async (a, b) => [
+        ...compareFields(a, b, {
+          title: p => p.title,
+          body_html: p => p.body_html,
+          author: p => p.author,
+          template_suffix: p => p.template_suffix,
+          published: p => !!p.published_at
+        }),
+        ...await compareResourceMetafields('page', a, b)
+      ])
+    }
+
+    const needsBlogs = types.indexOf('blogs') !== -1 || types.indexOf('articles') !== -1
+    const sourceBlogs = needsBlogs ? await this._listAll(params => this.source.blog.list(params)) : []
+    const destinationBlogs = needsBlogs ? await this._listAll(params => this.destination.blog.list(params)) : []
+    if (types.indexOf('blogs') !== -1) {
+      await diffAsync('blogs', sourceBlogs, destinationBlogs, b => b.handle, async (a, b) => [
+        ...compareFields(a, b, {
+          title: blog => blog.title,
+          commentable: blog => blog.commentable,
+          template_suffix: blog => blog.template_suffix,
+          tags: blog => normalizeTags(blog.tags)
+        }),
+        ...await compareResourceMetafields('blog', a, b)
+      ])
+    }
+
+    if (types.indexOf('articles') !== -1) {
+      const listArticles = async (client, blogs) => {
+        const articles = []
+        await this.asyncForEach(blogs, async (blog) => {
+          const blogArticles = await this._listAll(params => client.article.list(blog.id, params))
+          blogArticles.forEach(article => articles.push({ ...article, key: `${blog.handle}/${article.handle}` }))
+        })
+        return articles
+      }
+      await diffAsync('articles', await listArticles(this.source, sourceBlogs), await listArticles(this.destination, destinationBlogs), a => a.key, async (a, b) => [
+        ...compareFields(a, b, {
+          title: article => article.title,
+          body_html: article => article.body_html,
+          summary_html: article => article.summary_html,
+          author: article => article.author,
+          tags: article => normalizeTags(article.tags),
+          published: article => !!article.published_at
+        }),
+        ...await compareResourceMetafields('article', a, b)
+      ])
+    }
+
+    if (types.indexOf('metafields') !== -1) {
+      const sourceMetafields = await this._getMetafields()
+      const destinationMetafields = await this._getMetafields(null, null, this.destination)
+      await diffAsync('metafields', sourceMetafields, destinationMetafields, metafieldKey, async (a, b) => compareMetafield(a, b))
+    }
+
+    if (types.indexOf('files') !== -1) {
+      // File urls differ from one store to the other, files are matched by file name instead
+      const listFiles = async (client) => {
+        const files = []
+        let hasNextPage = true
+        let cursor = null
+        while (hasNextPage) {
+          const page = await this._queryFiles(client, cursor)
+          page.edges.forEach(edge => files.push(edge.node))
+          hasNextPage = page.pageInfo.hasNextPage
+          cursor = page.pageInfo.endCursor
+        }
+        return files.filter(file => this._fileName(file))
+      }
+      await diffAsync('files', await listFiles(this.source), await listFiles(this.destination), f => this._fileName(f), async (a, b) => compareFields(a, b, {
+        type: f => f.__typename,
+        alt: f => f.alt
+      }))
+    }
+
+    if (types.indexOf('menus') !== -1) {
+      await diffAsync('menus', await this._queryMenus(this.source), await this._queryMenus(this.destination), m => m.handle, async (a, b) => compareFields(a, b, {
+        title: m => m.title,
+        items: m => describeMenuItems(m.items)
+      }))
     }
+
+    return report
+  }
+
+  _fileName(file) {
+    const fileUrl = file.__typename === 'GenericFile' ? file.url :
+                   file.__typename === 'MediaImage' && file.image ? file.image.originalSrc : null;
+    return fileUrl ? fileUrl.split('?')[0].split('/').pop() : null
   }
 }
 
@@ -0,0 +1,102 @@
+const fs = require('fs');
+
+/**
+ * Named store profiles, read from a JSON file (`stores.json` by default):
+ *
+ *   {
+ *     "prod": { "store": "my-shop.myshopify.com", "tokenEnv": "PROD_TOKEN", "apiVersion": "2023-10" },
+ *     "staging": { "store": "my-shop-staging.myshopify.com", "token": "shpat_...", "options": { "concurrency": { "default": 2 } } }
+ *   }
+ *
+ * The access token is either given as `token` or read from the env var named by `tokenEnv`.
+ * A profile with a `dir` (`{ "local": { "dir": "data/stores/local" } }`) is a file store, see `filestore.js`.
+ * `options` are Migrator options applied when the store is the destination of a run.
+ */
+class Profiles {
+  constructor(file = 'stores.json') {
+    this.file = file
+    if (!fs.existsSync(file)) {
+      throw new Error(`Store profiles file ${file} not found`)
+    }
+    this.stores = JSON.parse(fs.readFileSync(file, 'utf8'))
+  }
+
+  get(name) {
+    const profile = this.stores[name]
+    if (!profile) {
+      throw new Error(`Store profile ${name} not found in ${this.file}. Known profiles: ${Object.keys(this.stores).join(', ')}`)
+    }
+    if (profile.dir) {
+      return { name, options: {}, ...profile }
+    }
+    const token = profile.token || (profile.tokenEnv && process.env[profile.tokenEnv])
+    if (!profile.store || !token) {
+      throw new Error(`Store profile ${name} needs a store and a token (or tokenEnv)`)
+    }
+    return { name, options: {}, ...profile, token }
+  }
+}
+
+/**
+ * Wraps a source client so that identical reads (`product.list(params)`, `graphql(query)`, ...) only hit
+ * the store once when several destinations are migrated in the same run. Every call gets its own copy
+ * of the result, since the migrators modify the source resources before sending them.
+ * A result is dropped once each of the `readers` destinations read it, and at most `limit` results are kept
+ * (the least recently read go first) for the reads some destinations never make.
+ */
+function shareReads(client, readers, limit = 500) {
+  const cache = new Map()
+  const read = (key, send) => {
+    let entry = cache.get(key)
+    if (entry) {
+      cache.delete(key)
+    } else {
+      entry = { reads: 0 }
+      entry.result = send().catch((e) => {
+        if (cache.get(key) === entry) {
+          cache.delete(key)
+        }
+        throw e
+      })
+    }
+    entry.reads++
+    // Entries go back in last, so that the first one is the least recently read
+    if (entry.reads < readers) {
+      cache.set(key, entry)
+      if (cache.size > limit) {
+        cache.delete(cache.keys().next().value)
+      }
+    }
+    return entry.result.then(copy)
+  }
+  const wrap = (target, path) => new Proxy(target, {
+    get(object, property) {
+      const value = object[property]
+      if (typeof value === 'function') {
+        return (...args) => read(`${path}.${String(property)}:${JSON.stringify(args)}`, () => Promise.resolve(value.apply(object, args)))
+      }
+      return value && typeof value === 'object' ? wrap(value, `${path}.${String(property)}`) : value
+    }
+  })
+  return wrap(client, 'source')
+}
+
+// Deep copy of a REST or GraphQL result, keeping the pagination parameters of REST pages
+function copy(result) {
+  if (result === undefined) {
+    return result
+  }
+  const clone = JSON.parse(JSON.stringify(result))
+  if (Array.isArray(result)) {
+    ['nextPageParameters', 'previousPageParameters'].forEach((key) => {
+      if (result[key]) {
+        Object.defineProperty(clone, key, { value: result[key] })
+      }
+    })
+  }
+  return clone
+}
+
+Profiles.shareReads = shareReads
+
+module.exports = Profiles
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+
+const ACTIONS = { create: 'created', skip: 'skipped', update: 'updated', replace: 'replaced', fail: 'failed' }
+// A dry run only plans what would happen
+const PLANNED = { create: 'toCreate', skip: 'toSkip', update: 'toUpdate', replace: 'toReplace', fail: 'failed' }
+
+/**
+ * Structured record of a run. Every log line and resource outcome is appended to a JSON-lines file
+ * (`{ time, runId, level, message, ... }`), and `write` saves a summary with the created, skipped, updated,
+ * replaced and failed counts per resource type along with the details of every failure.
+ * The counts of a dry run are the planned ones (`toCreate`, `toSkip`, ...).
+ */
+class Report {
+  constructor({ runId, logFile = null, destination = null, dryRun = false } = {}) {
+    this.runId = runId
+    this.logFile = logFile
+    this.destination = destination
+    this.dryRun = dryRun
+    this.actions = dryRun ? PLANNED : ACTIONS
+    this.startedAt = new Date().toISOString()
+    this.counts = {}
+    this.failures = []
+    this.replacing = new Set()
+    if (logFile) {
+      fs.mkdirSync(path.dirname(logFile), { recursive: true })
+    }
+  }
+
+  event(level, entry) {
+    if (!this.logFile) {
+      return
+    }
+    const line = { time: new Date().toISOString(), runId: this.runId, level, ...entry }
+    fs.appendFileSync(this.logFile, `${JSON.stringify(line)}\n`)
+  }
+
+  log(level, message, details = []) {
+    this.event(level, details.length ? { message, details: details.map(serialize) } : { message })
+  }
+
+  /**
+   * Counts what happened to a source resource. `action` is one of `create`, `skip`, `update`, `replace` or `fail`.
+   */
+  count(type, action, name, { sourceId = null, destinationId = null, error = null } = {}) {
+    if (!this.counts[type]) {
+      this.counts[type] = Object.values(this.actions).reduce((counts, key) => ({ ...counts, [key]: 0 }), {})
+    }
+    // A replaced resource is deleted then created again, it only counts as replaced
+    const key = `${type}:${name}`
+    if (action === 'create' && this.replacing.has(key)) {
+      this.replacing.delete(key)
+    } else {
+      this.counts[type][this.actions[action]]++
+    }
+    if (action === 'replace') {
+      this.replacing.add(key)
+    }
+    if (action === 'fail') {
+      this.failures.push({ type, name, sourceId, error: serialize(error) })
+    }
+    this.event(action === 'fail' ? 'error' : 'info', {
+      event: 'resource',
+      type,
+      action: this.actions[action],
+      name,
+      sourceId,
+      destinationId,
+      error: error ? serialize(error) : undefined
+    })
+  }
+
+  /**
+   * Logs an entry of the ID ledger, which holds the source and destination IDs of a resource.
+   */
+  record(entry) {
+    this.event('info', { event: 'ledger', ...entry })
+  }
+
+  hasFailures() {
+    return this.failures.length > 0
+  }
+
+  // One line of counts per resource type, like `pages: 2 created, 0 skipped, ...` or `pages: 2 to create, ...` for a dry run
+  totals() {
+    return Object.keys(this.counts).map((type) => {
+      const counts = this.counts[type]
+      const actions = Object.keys(this.actions).map(action => this.dryRun && action !== 'fail'
+        ? `${counts[this.actions[action]]} to ${action}`
+        : `${counts[this.actions[action]]} ${this.actions[action]}`)
+      return `${type}: ${actions.join(', ')}`
+    })
+  }
+
+  summary() {
+    return {
+      runId: this.runId,
+      destination: this.destination,
+      dryRun: this.dryRun,
+      startedAt: this.startedAt,
+      finishedAt: new Date().toISOString(),
+      counts: this.counts,
+      failures: this.failures
+    }
+  }
+
+  write(file) {
+    fs.mkdirSync(path.dirname(file), { recursive: true })
+    const summary = this.summary()
+    fs.writeFileSync(file, JSON.stringify(summary, null, 2))
+    return summary
+  }
+}
+
+// Errors (including shopify-api-node HTTP errors) don't survive `JSON.stringify` as is
+function serialize(value) {
+  if (!(value instanceof Error)) {
+    return value
+  }
+  const error = { name: value.name, message: value.message }
+  const status = value.statusCode || (value.response && value.response.statusCode)
+  if (status) {
+    error.statusCode = status
+  }
+  if (value.response && value.response.body) {
+    error.body = value.response.body
+  }
+  error.stack = value.stack
+  return error
+}
+
+module.exports = Report
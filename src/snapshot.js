@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+const FileStore = require('./filestore.js');
+
+const SNAPSHOT_VERSION = 1
+
+/**
+ * Offline bundle of a store, written by the `snapshot` command and read back by `restore`.
+ * A bundle is a folder holding a `manifest.json` plus one JSON file per resource type:
+ * `products`, `smart_collections`, `custom_collections`, `collection_products` (custom collection id => product ids),
+ * `pages`, `blogs`, `articles`, `metafields` (shop and resource metafields, with their owner), `files`, `menus` and `redirects`.
+ */
+class Snapshot {
+  constructor(dir) {
+    this.dir = dir
+    this.cache = {}
+  }
+
+  writeManifest(info) {
+    fs.mkdirSync(this.dir, { recursive: true })
+    const manifest = { version: SNAPSHOT_VERSION, createdAt: new Date().toISOString(), ...info }
+    fs.writeFileSync(path.join(this.dir, 'manifest.json'), JSON.stringify(manifest, null, 2))
+    return manifest
+  }
+
+  readManifest() {
+    const file = path.join(this.dir, 'manifest.json')
+    if (!fs.existsSync(file)) {
+      throw new Error(`No snapshot found in ${this.dir}`)
+    }
+    const manifest = JSON.parse(fs.readFileSync(file, 'utf8'))
+    if (manifest.version !== SNAPSHOT_VERSION) {
+      throw new Error(`Snapshot ${this.dir} has version ${manifest.version}, expected ${SNAPSHOT_VERSION}`)
+    }
+    return manifest
+  }
+
+  write(type, data) {
+    fs.mkdirSync(this.dir, { recursive: true })
+    fs.writeFileSync(path.join(this.dir, `${type}.json`), JSON.stringify(data))
+    this.cache[type] = data
+  }
+
+  read(type) {
+    if (!this.cache[type]) {
+      const file = path.join(this.dir, `${type}.json`)
+      this.cache[type] = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : (type === 'collection_products' ? {} : [])
+    }
+    return this.cache[type]
+  }
+
+  /**
+   * Read-only file store (see `filestore.js`) over the bundle, so it can stand in for the source store.
+   */
+  asSource() {
+    const manifest = this.readManifest()
+    return new FileStore(this.dir, { shop: manifest.shop, readOnly: true })
+  }
+}
+
+Snapshot.SNAPSHOT_VERSION = SNAPSHOT_VERSION
+
+module.exports = Snapshot
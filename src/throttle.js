@@ -0,0 +1,124 @@
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * Paces the requests sent to one store so that concurrent workers stay within its API limits.
+ * REST calls follow the leaky bucket reported by `X-Shopify-Shop-Api-Call-Limit`, GraphQL calls
+ * follow the `extensions.cost.throttleStatus` of the previous responses. Throttled requests (429 or
+ * `THROTTLED` GraphQL errors) are retried with a backoff instead of failing.
+ */
+class Throttle {
+  constructor({ restLeakRate = 2, restHeadroom = 0.8, maxRetries = 8, onWait = () => {} } = {}) {
+    this.restLeakRate = restLeakRate
+    this.restHeadroom = restHeadroom
+    this.maxRetries = maxRetries
+    this.onWait = onWait
+    this.rest = null
+    this.graphqlStatus = null
+    this.graphqlCost = 0
+  }
+
+  /**
+   * Routes every REST request of a `shopify-api-node` client through the throttle.
+   */
+  attach(client) {
+    const request = client.request.bind(client)
+    client.request = (...args) => this.retry(async () => {
+      await this.beforeRest()
+      return request(...args)
+    })
+    client.on('callLimits', limits => this.updateRest(limits))
+    return client
+  }
+
+  updateRest({ current, max }) {
+    if (!max) {
+      return
+    }
+    this.rest = { level: current, max, at: Date.now() }
+  }
+
+  async beforeRest() {
+    while (this.rest) {
+      const elapsed = (Date.now() - this.rest.at) / 1000
+      const level = Math.max(0, this.rest.level - elapsed * this.restLeakRate)
+      const limit = this.rest.max * this.restHeadroom
+      if (level + 1 <= limit) {
+        // Reserve our slot so that the other workers see it before the response comes back
+        this.rest = { level: level + 1, max: this.rest.max, at: Date.now() }
+        return
+      }
+      const wait = Math.ceil(((level + 1 - limit) / this.restLeakRate) * 1000)
+      this.onWait(`REST bucket at ${Math.round(level)}/${this.rest.max}, waiting ${wait}ms`)
+      await delay(wait)
+    }
+  }
+
+  updateGraphql(response) {
+    const cost = response && response.extensions && response.extensions.cost
+    if (!cost || !cost.throttleStatus) {
+      return
+    }
+    this.graphqlStatus = { ...cost.throttleStatus, at: Date.now() }
+    this.graphqlCost = Math.max(this.graphqlCost, cost.requestedQueryCost || 0)
+  }
+
+  async beforeGraphql() {
+    while (this.graphqlStatus) {
+      const { maximumAvailable, currentlyAvailable, restoreRate, at } = this.graphqlStatus
+      const elapsed = (Date.now() - at) / 1000
+      const available = Math.min(maximumAvailable, currentlyAvailable + elapsed * restoreRate)
+      if (available >= this.graphqlCost) {
+        this.graphqlStatus = { ...this.graphqlStatus, currentlyAvailable: available - this.graphqlCost, at: Date.now() }
+        return
+      }
+      const wait = Math.ceil(((this.graphqlCost - available) / restoreRate) * 1000)
+      this.onWait(`GraphQL bucket at ${Math.round(available)}/${maximumAvailable} points, waiting ${wait}ms`)
+      await delay(wait)
+    }
+  }
+
+  /**
+   * Sends a GraphQL request through the throttle. `send` must resolve with a `fetch` response.
+   */
+  async graphql(send) {
+    return this.retry(async () => {
+      await this.beforeGraphql()
+      const response = await send()
+      if (response.status === 429) {
+        throw throttledError(response.headers.get('retry-after'))
+      }
+      const body = await response.json()
+      this.updateGraphql(body)
+      if (body.errors && body.errors.find && body.errors.find(e => e.extensions && e.extensions.code === 'THROTTLED')) {
+        throw throttledError()
+      }
+      return body
+    })
+  }
+
+  async retry(send) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await send()
+      } catch (e) {
+        const status = e.statusCode || (e.response && e.response.statusCode)
+        if (status !== 429 || attempt >= this.maxRetries) {
+          throw e
+        }
+        const retryAfter = e.retryAfter || (e.response && e.response.headers && e.response.headers['retry-after'])
+        const wait = retryAfter ? retryAfter * 1000 : Math.min(1000 * Math.pow(2, attempt), 30000)
+        this.onWait(`Throttled by the API, retrying in ${wait}ms`)
+        await delay(wait)
+      }
+    }
+  }
+}
+
+function throttledError(retryAfter = null) {
+  const error = new Error('Throttled')
+  error.statusCode = 429
+  error.retryAfter = retryAfter && retryAfter * 1
+  return error
+}
+
+module.exports = Throttle
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('assert');
+const Anonymizer = require('../src/anonymizer.js');
+
+const customer = {
+  id: 1,
+  email: 'Jane.Doe@gmail.com',
+  phone: '+15145550123',
+  first_name: 'Jane',
+  last_name: 'Doe',
+  note: 'Prefers mornings',
+  tags: 'vip',
+  addresses: [{ first_name: 'Jane', last_name: 'Doe', address1: '12 Real Street', city: 'Montreal', province: 'Quebec', country: 'Canada', zip: 'H2X 1Y4' }]
+}
+
+test('a customer gets the same fake identity on every run', () => {
+  assert.deepStrictEqual(new Anonymizer('secret').customer(customer), new Anonymizer('secret').customer(customer))
+  // Emails are matched case insensitively
+  assert.strictEqual(new Anonymizer('secret').email('jane.doe@gmail.com'), new Anonymizer('secret').email(customer.email))
+})
+
+test('another secret gives another identity', () => {
+  assert.notStrictEqual(new Anonymizer('secret').email(customer.email), new Anonymizer('other').email(customer.email))
+})
+
+test('personal information is replaced, locations and tags are kept', () => {
+  const anonymized = new Anonymizer('secret').customer(customer)
+  assert.match(anonymized.email, /@example\.com$/)
+  assert.match(anonymized.phone, /^\+1\d{3}555\d{4}$/)
+  assert.notStrictEqual(anonymized.first_name, 'Jane')
+  assert.strictEqual(anonymized.note, null)
+  assert.strictEqual(anonymized.tags, 'vip')
+  const [address] = anonymized.addresses
+  assert.notStrictEqual(address.address1, '12 Real Street')
+  assert.strictEqual(address.first_name, anonymized.first_name)
+  assert.deepStrictEqual([address.city, address.province, address.country, address.zip], ['Montreal', 'Quebec', 'Canada', 'H2X 1Y4'])
+})
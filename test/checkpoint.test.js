@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Checkpoint = require('../src/checkpoint.js');
+
+const dirs = []
+test.after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })))
+
+function file() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storeduplicator-'))
+  dirs.push(dir)
+  return path.join(dir, 'checkpoint.json')
+}
+
+const items = [{ id: 1 }, { id: 2 }, { id: 3 }]
+
+test('a resumed checkpoint starts from the saved page, past its handled items', () => {
+  const checkpointFile = file()
+  const first = new Checkpoint(checkpointFile)
+  first.save('pages', { limit: 250, page_info: 'abc' }, 2)
+
+  const resumed = new Checkpoint(checkpointFile, { resume: true })
+  assert.deepStrictEqual(resumed.cursor('pages'), { limit: 250, page_info: 'abc' })
+  assert.deepStrictEqual(resumed.remaining('pages', { limit: 250, page_info: 'abc' }, items), [{ id: 3 }])
+  // Only the first page of a resumed type is trimmed
+  assert.deepStrictEqual(resumed.remaining('pages', { limit: 250, page_info: 'abc' }, items), items)
+})
+
+test('a checkpoint is ignored unless resuming', () => {
+  const checkpointFile = file()
+  new Checkpoint(checkpointFile).save('pages', { page_info: 'abc' }, 2)
+  const fresh = new Checkpoint(checkpointFile)
+  assert.strictEqual(fresh.cursor('pages'), null)
+  assert.deepStrictEqual(fresh.remaining('pages', { page_info: 'abc' }, items), items)
+})
+
+test('a page other than the saved one is not trimmed', () => {
+  const checkpointFile = file()
+  new Checkpoint(checkpointFile).save('pages', { page_info: 'abc' }, 2)
+  const resumed = new Checkpoint(checkpointFile, { resume: true })
+  assert.deepStrictEqual(resumed.remaining('pages', { page_info: 'def' }, items), items)
+})
+
+test('completed steps are kept and their cursor dropped', () => {
+  const checkpointFile = file()
+  const checkpoint = new Checkpoint(checkpointFile)
+  checkpoint.save('pages', { page_info: 'abc' }, 2)
+  checkpoint.complete('pages')
+  const resumed = new Checkpoint(checkpointFile, { resume: true })
+  assert.strictEqual(resumed.isComplete('pages'), true)
+  assert.strictEqual(resumed.cursor('pages'), null)
+})
+
+test('a checkpoint that does not persist writes nothing', () => {
+  const checkpointFile = file()
+  const checkpoint = new Checkpoint(checkpointFile, { persist: false })
+  checkpoint.save('pages', { page_info: 'abc' }, 2)
+  checkpoint.complete('pages')
+  assert.strictEqual(fs.existsSync(checkpointFile), false)
+})
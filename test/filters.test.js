@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('assert');
+const Filters = require('../src/filters.js');
+
+test('handles, tags, status and dates narrow products down', () => {
+  const filters = new Filters({ handles: ['shirt', 'pants'], tags: ['sale'], status: 'active', updatedSince: new Date('2024-01-01') })
+  const product = { handle: 'shirt', tags: 'new, sale', status: 'active', updated_at: '2024-02-01T00:00:00Z' }
+  assert.strictEqual(filters.matches('products', product), true)
+  assert.strictEqual(filters.matches('products', { ...product, handle: 'hat' }), false)
+  assert.strictEqual(filters.matches('products', { ...product, tags: 'new' }), false)
+  assert.strictEqual(filters.matches('products', { ...product, status: 'draft' }), false)
+  assert.strictEqual(filters.matches('products', { ...product, updated_at: '2023-12-01T00:00:00Z' }), false)
+})
+
+test('the tag filter leaves the types without tags alone', () => {
+  const filters = new Filters({ tags: ['sale'] })
+  assert.strictEqual(filters.matches('pages', { handle: 'about' }), true)
+  assert.strictEqual(filters.matches('articles', { handle: 'news', tags: '' }), false)
+})
+
+test('filters the REST endpoints understand are sent along', () => {
+  const filters = new Filters({ handles: ['shirt', 'pants'], tags: ['sale'], status: 'active', updatedSince: new Date('2024-01-01T00:00:00Z') })
+  assert.deepStrictEqual(filters.restParams('products'), { updated_at_min: '2024-01-01T00:00:00.000Z', handle: 'shirt,pants', status: 'active' })
+  // Pages only take a single handle, and articles a single tag
+  assert.deepStrictEqual(filters.restParams('pages'), { updated_at_min: '2024-01-01T00:00:00.000Z' })
+  assert.deepStrictEqual(filters.restParams('articles'), { updated_at_min: '2024-01-01T00:00:00.000Z', tag: 'sale' })
+})
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Ledger = require('../src/ledger.js');
+
+const dirs = []
+test.after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })))
+
+function file() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storeduplicator-'))
+  dirs.push(dir)
+  return path.join(dir, 'ledger.jsonl')
+}
+
+test('entries are read back by a later run, the latest one winning', () => {
+  const ledgerFile = file()
+  const first = new Ledger(ledgerFile, 'run-1', { shop: 'staging' })
+  first.record('product', 1, 10, 'shirt')
+  first.record('product', 1, 11, 'shirt', 'updated')
+  first.record('page', 1, 20, 'about')
+
+  const second = new Ledger(ledgerFile, 'run-2', { shop: 'staging' })
+  assert.strictEqual(second.destinationId('product', 1), 11)
+  assert.strictEqual(second.get('product', 1).action, 'updated')
+  assert.strictEqual(second.destinationId('page', 1), 20)
+  assert.strictEqual(second.destinationId('page', 2), null)
+  assert.deepStrictEqual(second.entries('product').map(entry => entry.handle), ['shirt'])
+})
+
+test('entries of another destination store are ignored', () => {
+  const ledgerFile = file()
+  new Ledger(ledgerFile, 'run-1', { shop: 'staging' }).record('product', 1, 10, 'shirt')
+  new Ledger(ledgerFile, 'run-2', { shop: 'qa' }).record('product', 2, 30, 'pants')
+  // Entries written before the store was recorded
+  fs.appendFileSync(ledgerFile, `${JSON.stringify({ runId: 'run-0', type: 'page', sourceId: 1, destinationId: 5, action: 'created' })}\n`)
+
+  const staging = new Ledger(ledgerFile, 'run-3', { shop: 'staging' })
+  assert.strictEqual(staging.destinationId('product', 1), 10)
+  assert.strictEqual(staging.destinationId('product', 2), null)
+  assert.strictEqual(staging.destinationId('page', 1), 5)
+})
+
+test('a ledger that does not persist only keeps entries in memory', () => {
+  const ledgerFile = file()
+  const recorded = []
+  const ledger = new Ledger(ledgerFile, 'run-1', { persist: false, onRecord: entry => recorded.push(entry) })
+  ledger.record('product', 1, 10, 'shirt', 'matched')
+  assert.strictEqual(ledger.destinationId('product', 1), 10)
+  assert.strictEqual(fs.existsSync(ledgerFile), false)
+  assert.deepStrictEqual(recorded, [])
+})
@@ -0,0 +1,206 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Migrator = require('../src/migrator.js');
+const FileStore = require('../src/filestore.js');
+
+// Smoke test of a migration between two file stores: a dry run, a real run, and a run resumed after a failure
+
+const PRODUCTS = ['shirt', 'pants', 'hat'].map((handle, i) => ({
+  id: i + 1,
+  handle,
+  title: handle,
+  body_html: `<p>${handle}</p>`,
+  status: 'active',
+  options: [{ name: 'Size', values: ['S', 'M'] }],
+  variants: ['S', 'M'].map((size, j) => ({ id: (i + 1) * 10 + j, sku: `${handle}-${size}`, price: '10.00', option1: size })),
+  images: []
+}))
+const PAGES = [{ id: 1, handle: 'about', title: 'About', body_html: '<p>About</p>' }]
+
+const dirs = []
+test.after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })))
+
+// A source file store holding `tables` (`{ products: [...], ... }`), and the folder of its destination
+function setup(tables = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storeduplicator-'))
+  dirs.push(dir)
+  fs.mkdirSync(path.join(dir, 'source'))
+  Object.entries({ products: PRODUCTS, pages: PAGES, ...tables }).forEach(([type, rows]) => {
+    fs.writeFileSync(path.join(dir, 'source', `${type}.json`), JSON.stringify(rows))
+  })
+  return dir
+}
+
+// Product metafield of `ownerId` pointing at the product `productId`
+function productReference(id, ownerId, productId) {
+  return { id, namespace: 'custom', key: 'related', type: 'product_reference', value: `gid://shopify/Product/${productId}`, owner_resource: 'product', owner_id: ownerId }
+}
+
+function migrator(dir, options = {}, name = 'destination') {
+  return new Migrator({ name: 'source', dir: path.join(dir, 'source') }, { name, dir: path.join(dir, name) }, 0, false, {
+    source: new FileStore(path.join(dir, 'source'), { readOnly: true }),
+    destination: new FileStore(path.join(dir, name)),
+    ledger: path.join(dir, 'ledger.jsonl'),
+    checkpoint: path.join(dir, 'checkpoint.json'),
+    ...options
+  })
+}
+
+async function migrate(migration) {
+  await migration.step('pages', () => migration.migratePages())
+  await migration.step('products', () => migration.migrateProducts())
+  return migration
+}
+
+function read(dir, type, name = 'destination') {
+  const file = path.join(dir, name, `${type}.json`)
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : []
+}
+
+test('a dry run plans the migration without writing anything', async () => {
+  const dir = setup()
+  const migration = await migrate(migrator(dir, { dryRun: true }))
+  assert.strictEqual(migration.report.counts.products.toCreate, 3)
+  assert.strictEqual(migration.report.counts.pages.toCreate, 1)
+  assert.strictEqual(fs.existsSync(path.join(dir, 'destination')), false)
+  assert.strictEqual(fs.existsSync(path.join(dir, 'ledger.jsonl')), false)
+  assert.strictEqual(fs.existsSync(path.join(dir, 'checkpoint.json')), false)
+})
+
+test('a run copies the resources and a second one skips them', async () => {
+  const dir = setup()
+  const migration = await migrate(migrator(dir))
+  assert.strictEqual(migration.report.counts.products.created, 3)
+  assert.deepStrictEqual(read(dir, 'products').map(p => p.handle), ['shirt', 'pants', 'hat'])
+  assert.deepStrictEqual(read(dir, 'products')[0].variants.map(v => v.sku), ['shirt-S', 'shirt-M'])
+  assert.deepStrictEqual(read(dir, 'pages').map(p => p.handle), ['about'])
+  assert.strictEqual(migration.ledger.destinationId('product', 2), read(dir, 'products')[1].id)
+
+  const again = await migrate(migrator(dir))
+  assert.strictEqual(again.report.counts.products.skipped, 3)
+  assert.strictEqual(read(dir, 'products').length, 3)
+})
+
+test('a resumed run retries what failed and skips the completed steps', async () => {
+  const dir = setup()
+  const failing = migrator(dir)
+  const create = failing.destination.product.create
+  failing.destination.product.create = product => product.handle === 'pants' ? Promise.reject(new Error('Server error')) : create(product)
+  await migrate(failing)
+  assert.strictEqual(failing.report.counts.products.failed, 1)
+  assert.deepStrictEqual(read(dir, 'products').map(p => p.handle), ['shirt', 'hat'])
+
+  const resumed = await migrate(migrator(dir, { resume: true }))
+  assert.strictEqual(resumed.report.counts.pages, undefined)
+  assert.strictEqual(resumed.report.counts.products.created, 1)
+  assert.strictEqual(resumed.report.failures.length, 0)
+  assert.deepStrictEqual(read(dir, 'products').map(p => p.handle).sort(), ['hat', 'pants', 'shirt'])
+})
+
+test('only the filtered products are copied', async () => {
+  const dir = setup()
+  const migration = await migrate(migrator(dir, { filters: { handles: ['shirt', 'hat'] } }))
+  assert.strictEqual(migration.report.counts.products.created, 2)
+  assert.deepStrictEqual(read(dir, 'products').map(p => p.handle), ['shirt', 'hat'])
+})
+
+test('products referring to each other are created once, dropping the reference that closes the loop', async () => {
+  // shirt -> pants -> hat -> pants
+  const dir = setup({ metafields: [productReference(1, 1, 2), productReference(2, 2, 3), productReference(3, 3, 2)] })
+  const migration = migrator(dir, { concurrency: { products: 1 } })
+  const warnings = []
+  migration.warn = message => warnings.push(message)
+  await migrate(migration)
+  const products = read(dir, 'products')
+  assert.deepStrictEqual(products.map(p => p.handle).sort(), ['hat', 'pants', 'shirt'])
+  const idOf = handle => `gid://shopify/Product/${products.find(p => p.handle === handle).id}`
+  const references = read(dir, 'metafields').map(m => [products.find(p => p.id === m.owner_id).handle, m.value])
+  assert.deepStrictEqual(references.sort(), [['pants', idOf('hat')], ['shirt', idOf('pants')]])
+  assert.ok(warnings.some(message => message.indexOf('circular reference') !== -1))
+  assert.strictEqual(migration.report.counts.products.created, 1)
+  assert.strictEqual(migration.report.counts.products.skipped, 2)
+})
+
+test('destinations sharing a ledger file only resolve references to their own resources', async () => {
+  const dir = setup({ metafields: [productReference(1, 1, 2)] })
+  await migrate(migrator(dir))
+  // The product IDs of the second store differ from the ones of the first
+  fs.mkdirSync(path.join(dir, 'other'))
+  fs.writeFileSync(path.join(dir, 'other', 'products.json'), JSON.stringify([{ id: 1, handle: 'sock', title: 'sock', variants: [], images: [] }]))
+  await migrate(migrator(dir, {}, 'other'))
+  const products = read(dir, 'products', 'other')
+  const [reference] = read(dir, 'metafields', 'other')
+  assert.strictEqual(reference.owner_id, products.find(p => p.handle === 'shirt').id)
+  assert.strictEqual(reference.value, `gid://shopify/Product/${products.find(p => p.handle === 'pants').id}`)
+})
+
+test('a ledger entry whose destination resource was deleted is not trusted', async () => {
+  const dir = setup({ metafields: [productReference(1, 1, 2)] })
+  await migrate(migrator(dir))
+  // Only the ledger still knows about the products
+  fs.rmSync(path.join(dir, 'destination', 'products.json'))
+  fs.rmSync(path.join(dir, 'destination', 'metafields.json'))
+  const migration = migrator(dir)
+  const warnings = []
+  migration.warn = message => warnings.push(message)
+  await migrate(migration)
+  const products = read(dir, 'products')
+  assert.deepStrictEqual(products.map(p => p.handle).sort(), ['hat', 'pants', 'shirt'])
+  assert.strictEqual(read(dir, 'metafields')[0].value, `gid://shopify/Product/${products.find(p => p.handle === 'pants').id}`)
+  assert.ok(warnings.some(message => message.indexOf('is no longer on the destination store') !== -1))
+})
+
+test('a product whose media could not be copied still counts as created', async () => {
+  const dir = setup()
+  const migration = migrator(dir)
+  const graphql = migration.destination.graphql.bind(migration.destination)
+  migration.destination.graphql = (query, variables) => query.indexOf('media(first: 250)') !== -1
+    ? Promise.resolve({ errors: [{ message: 'Throttled' }] })
+    : graphql(query, variables)
+  const warnings = []
+  migration.warn = message => warnings.push(message)
+  await migrate(migration)
+  assert.strictEqual(migration.report.counts.products.created, 3)
+  assert.strictEqual(migration.report.failures.length, 0)
+  assert.strictEqual(warnings.filter(message => message.indexOf('Could not copy the media') !== -1).length, 3)
+})
+
+test('anonymized customers keep the metafields that hold no personal information', async () => {
+  const migration = migrator(setup(), { customerMetafields: ['loyalty', 'custom.size'] })
+  const metafield = (namespace, key, type) => ({ namespace, key, type, value: '1' })
+  migration._getMetafields = async () => [
+    metafield('custom', 'orders', 'number_integer'),
+    metafield('custom', 'favorite', 'product_reference'),
+    metafield('custom', 'birthday', 'date'),
+    metafield('custom', 'nickname', 'single_line_text_field'),
+    metafield('custom', 'size', 'single_line_text_field'),
+    metafield('loyalty', 'tier', 'single_line_text_field')
+  ]
+  const warnings = []
+  migration.warn = message => warnings.push(message)
+  const kept = await migration._customerMetafields({ id: 1 })
+  assert.deepStrictEqual(kept.map(m => `${m.namespace}.${m.key}`), ['custom.orders', 'custom.favorite', 'custom.size', 'loyalty.tier'])
+  assert.deepStrictEqual(warnings, ['[CUSTOMER 1] anonymized, leaving out its metafields custom.birthday, custom.nickname'])
+})
+
+test('menu items get sequential IDs on a file store', async () => {
+  const item = (id, title, items = []) => ({ id: `gid://shopify/MenuItem/${id}`, title, type: 'HTTP', url: `/${title}`, tags: [], items })
+  const dir = setup({
+    menus: [
+      { id: 'gid://shopify/Menu/1', handle: 'main-menu', title: 'Main menu', items: [item(11, 'shop', [item(12, 'new')]), item(13, 'about')] },
+      { id: 'gid://shopify/Menu/2', handle: 'footer', title: 'Footer', items: [item(14, 'contact')] }
+    ]
+  })
+  const migration = migrator(dir)
+  await migration.step('menus', () => migration.migrateMenus())
+  const ids = []
+  const collect = items => items.forEach((i) => {
+    ids.push(i.id)
+    collect(i.items)
+  })
+  read(dir, 'menus').forEach(menu => collect(menu.items))
+  assert.deepStrictEqual(ids, [1, 2, 3, 4].map(id => `gid://shopify/MenuItem/${id}`))
+})
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('assert');
+const Profiles = require('../src/profiles.js');
+
+// Source client counting the reads that reach the store
+function counting() {
+  const client = { reads: 0, page: { get: async (id) => { client.reads++; return { id, title: `page ${id}` } } } }
+  return client
+}
+
+test('shared reads hit the store once for all the destinations, each getting its own copy', async () => {
+  const client = counting()
+  const source = Profiles.shareReads(client, 2)
+  const first = await source.page.get(1)
+  first.title = 'changed'
+  assert.deepStrictEqual(await source.page.get(1), { id: 1, title: 'page 1' })
+  assert.strictEqual(client.reads, 1)
+})
+
+test('shared reads are dropped once every destination read them', async () => {
+  const client = counting()
+  const source = Profiles.shareReads(client, 2)
+  await source.page.get(1)
+  await source.page.get(1)
+  await source.page.get(1)
+  assert.strictEqual(client.reads, 2)
+})
+
+test('shared reads keep at most `limit` results, dropping the least recently read', async () => {
+  const client = counting()
+  const source = Profiles.shareReads(client, 2, 2)
+  await source.page.get(1)
+  await source.page.get(2)
+  await source.page.get(3)
+  assert.strictEqual(client.reads, 3)
+  await source.page.get(3)
+  await source.page.get(2)
+  assert.strictEqual(client.reads, 3)
+  await source.page.get(1)
+  assert.strictEqual(client.reads, 4)
+})
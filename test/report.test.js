@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('assert');
+const Report = require('../src/report.js');
+
+test('outcomes are counted per type, failures with their details', () => {
+  const report = new Report({ runId: 'run-1' })
+  report.count('pages', 'create', 'about')
+  report.count('pages', 'skip', 'contact')
+  report.count('pages', 'fail', 'faq', { sourceId: 3, error: new Error('Not Found') })
+  assert.deepStrictEqual(report.counts.pages, { created: 1, skipped: 1, updated: 0, replaced: 0, failed: 1 })
+  assert.strictEqual(report.hasFailures(), true)
+  assert.deepStrictEqual(report.failures.map(({ type, name, sourceId, error }) => [type, name, sourceId, error.message]), [['pages', 'faq', 3, 'Not Found']])
+})
+
+test('a replaced resource only counts as replaced', () => {
+  const report = new Report({ runId: 'run-1' })
+  report.count('pages', 'replace', 'about')
+  report.count('pages', 'create', 'about')
+  assert.deepStrictEqual(report.counts.pages, { created: 0, skipped: 0, updated: 0, replaced: 1, failed: 0 })
+})
+
+test('the counts of a dry run are the planned ones', () => {
+  const report = new Report({ runId: 'run-1', dryRun: true })
+  report.count('pages', 'create', 'about')
+  report.count('pages', 'create', 'contact')
+  assert.deepStrictEqual(report.counts.pages, { toCreate: 2, toSkip: 0, toUpdate: 0, toReplace: 0, failed: 0 })
+  assert.deepStrictEqual(report.totals(), ['pages: 2 to create, 0 to skip, 0 to update, 0 to replace, 0 failed'])
+})